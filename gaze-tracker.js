@@ -8,34 +8,573 @@
  * Everything is auto-detected:
  *   - Device type: desktop uses 30x30 grid (q0-q3.webp), mobile uses 20x20 (q0_20-q3_20.webp)
  *   - Frame dimensions inferred from sprite size
+ *   - A manifest.json next to the sprites overrides the conventions above (see SPRITE MANIFEST)
  *
  * Optional attributes:
  *   src       - Root path to sprite files (default: "/")
+ *   manifest  - URL of a sprite manifest (default: probe "<src>/manifest.json")
+ *   poster    - Image shown while the sprites load (default: the centre frame, once the first tile arrives)
+ *   loading-indicator - "spinner", "none" or "slot" (show the loading slot's content) (default: "spinner")
+ *   progressive - Start with the small preview sprites, then upgrade to full resolution in the background
+ *   transition-duration - Crossfade length (ms) when src or expression changes at runtime (default: 300, 0 = instant)
+ *   expression - Name of the sprite set to show, declared by <gaze-set name src> children or the manifest (default: the src set)
+ *   fit       - Frame sizing like object-fit: "contain", "cover", "fill" or "none" (default: "contain")
+ *   position  - Frame alignment like object-position, e.g. "center top" or "30% 20%" (default: "center")
+ *   focal-point - Point of the frame ("50% 35%" or pixels) kept centered as far as the edges allow; overrides position
+ *   max-resolution - Highest canvas pixel density used on high-DPI screens (default: 2)
+ *   max-upscale - How far the canvas may exceed the sprite frames' resolution (default: 1)
+ *   controls  - Buttons in the control bar: any of "gyro fullscreen reset" (default: "gyro fullscreen")
+ *   hide-controls - Hide the control bar
+ *   fullscreen-target - "document" (the page goes fullscreen around the widget) or "element" (default: "document")
+ *   fullscreen-href - URL opened by the fullscreen button instead, e.g. "/viewer?src={src}"
+ *   retries   - Automatic retries after a network or decode failure (default: 2)
+ *   retry-delay - Milliseconds before the first retry, doubling each time (default: 1000)
+ *   label / alt - Accessible name of the widget (default: "Animated face that follows the pointer")
  *   smoothing - Animation smoothing factor (default: 0.12)
+ *   interpolation - "nearest" (snap to cells) or "blend" (crossfade neighbouring cells) (default: "nearest")
+ *   input     - "auto" (mouse/touch/gyro) or "manual" (only the JS API moves the gaze)
+ *   range     - Pointer distance for full gaze: "viewport", "element" or a pixel value (default: "viewport")
+ *   sensitivity - Gaze gain, one value or "x y" per axis (default: 1)
+ *   dead-zone - Fraction of the range around the center that is ignored, 0-0.9 (default: 0)
+ *   curve     - Response curve: "linear" or "ease-out" (default: "linear")
+ *   invert-x, invert-y - Mirror the gaze horizontally / vertically
+ *   gyro-range   - Tilt in degrees from neutral that gives full gaze (default: 30)
+ *   gyro-neutral - Neutral forward tilt in degrees, or "auto" to capture the pose when gyro is enabled (default: "auto")
+ *   look-at   - CSS selector of an element to look at, or ":focus" to follow the focused element
+ *   look-at-override - Milliseconds that pointer input takes precedence over look-at (default: 2000, 0 = never)
+ *   reduced-motion - With prefers-reduced-motion: "throttle" (few updates per second), "center" (static) or "ignore" (default: "throttle")
+ *   idle      - What to do when input stops: "none", "center" or "wander" (default: "none")
+ *   idle-timeout - Milliseconds without input before idling (default: 5000)
+ *   renderer  - "auto" (WebGL, falling back to 2D canvas), "webgl" or "canvas" (default: "auto")
+ *   pixi-src  - URL of pixi.min.js when PixiJS isn't already on the page (default: pixijs.download CDN)
+ *   log-level    - Enable diagnostics: "debug", "info", "warn", "error" or "none" (default: off)
+ *   log-endpoint - URL that receives batched diagnostics via sendBeacon
+ *
+ * JavaScript API:
+ *   lookAt(clientX, clientY)        - Look towards a point in viewport coordinates
+ *   setGaze(x, y, { immediate })    - Set gaze direction in normalized -1..1 coordinates
+ *   getGaze()                       - Current gaze as { x, y, row, col }
+ *   pause() / resume()              - Stop / restart animation and input handling
+ *   recalibrate()                   - Treat the current device tilt as "looking straight ahead"
+ *   reload()                        - Tear down and load again (e.g. after gaze-error)
+ *   setExpression(name, { transition }) - Switch to a named sprite set (null = the src set)
+ *   GazeTracker.setLogger(fn, { level }) - Page-wide diagnostics sink
+ *   GazeTracker.configure({ pixi, pixiSrc, textureBudget }) - Provide PixiJS (v8) yourself, size the texture cache
+ *
+ * Events (bubbling, composed CustomEvents):
+ *   gaze-ready              - Sprites loaded and tracking started; detail { gridRows, gridCols, frameWidth, frameHeight }
+ *   gaze-error              - Loading failed; detail { message, url, quadrant, kind, status, willRetry, error }
+ *                             kind: "not-found", "network", "decode", "invalid", "webgl" or "unknown" (see LOAD ERRORS)
+ *   gaze-load-progress      - A quadrant finished loading; detail { quadrant, url, loaded, total, stage }
+ *   gaze-frame              - Displayed cell changed; detail { row, col }
+ *   gaze-fullscreen-request - Fullscreen button pressed, cancelable; detail { href, target }
+ *   gaze-fullscreen-change  - detail { fullscreen }
+ *   gaze-gyro-change        - detail { enabled }
+ *   gaze-idle               - Idle behaviour started or stopped; detail { idle, mode }
+ *   gaze-expression-change  - Another sprite set is showing; detail { expression, previous }
+ *
+ * Keyboard (while focused):
+ *   Arrow keys nudge the gaze (Shift for bigger steps), Home looks straight ahead
+ *
+ * Styling:
+ *   ::part(controls), ::part(button) (also gyro-button, fullscreen-button, reset-button)
+ *   --gaze-controls-top/right/bottom/left/gap/opacity - Control bar position and spacing
+ *   --gaze-button-background/hover-background/active-background/color/border-color/size/padding/radius
+ *   --gaze-accent-color - Hover and active border (default: #ff6b6b)
+ *   ::part(poster), ::part(loading), ::part(error)
+ *   Slots: gyro-icon, fullscreen-icon, exit-fullscreen-icon, reset-icon, controls (extra buttons),
+ *          poster (an <img> shown while loading), loading (custom indicator with loading-indicator="slot"),
+ *          error (replaces the default message and retry button)
  */
 
 // Check if running from file:// protocol (offline/local mode)
 const isOffline = typeof window !== 'undefined' && window.location.protocol === 'file:';
 
-// Remote logger for widget (disabled when offline)
-const widgetLog = (level, msg) => {
-    if (isOffline) {
-        console.log(`[Widget] ${msg}`);
-        return;
-    }
-    fetch('/api/log', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ level, message: `[Widget] ${msg}`, userAgent: navigator.userAgent })
-    }).catch(() => {});
+// ============================================================================
+// DIAGNOSTICS LOGGER
+// Silent by default. Enable per widget with the log-level / log-endpoint
+// attributes, or page-wide with GazeTracker.setLogger(fn).
+// Entries for an endpoint are batched and sent with navigator.sendBeacon.
+// ============================================================================
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, none: Infinity };
+const LOG_BATCH_SIZE = 20;
+const LOG_FLUSH_DELAY = 2000;
+
+const GazeLogger = {
+    sink: null,       // Custom sink: (level, message, context) => void
+    level: 'none',    // Page-wide minimum level (raised by setLogger)
+    batches: new Map(), // endpoint -> pending entries
+    flushTimer: null,
+    unloadHooked: false,
+
+    // options.level / options.endpoint come from the widget's attributes
+    log(level, message, context = {}, options = {}) {
+        const minLevel = options.level || (options.endpoint ? 'info' : this.level);
+        const threshold = LOG_LEVELS[minLevel] ?? Infinity;
+        if ((LOG_LEVELS[level] ?? LOG_LEVELS.info) < threshold) return;
+
+        if (this.sink) {
+            try {
+                this.sink(level, message, context);
+            } catch (e) {
+                // A broken sink must never break the widget
+            }
+        }
+        if (options.endpoint) {
+            this._enqueue(options.endpoint, { level, message, context, time: Date.now() });
+        }
+        if (!this.sink && !options.endpoint) {
+            const method = level === 'error' || level === 'warn' || level === 'debug' ? level : 'info';
+            console[method](`[GazeTracker] ${message}`, context);
+        }
+    },
+
+    _enqueue(endpoint, entry) {
+        if (!this.batches.has(endpoint)) this.batches.set(endpoint, []);
+        const batch = this.batches.get(endpoint);
+        batch.push(entry);
+
+        // Flush whatever is pending when the page goes away
+        if (!this.unloadHooked) {
+            this.unloadHooked = true;
+            window.addEventListener('pagehide', () => this.flush());
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+        }
+
+        if (batch.length >= LOG_BATCH_SIZE) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), LOG_FLUSH_DELAY);
+        }
+    },
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        for (const [endpoint, entries] of this.batches) {
+            if (entries.length === 0) continue;
+            const body = JSON.stringify({ userAgent: navigator.userAgent, entries });
+            this.batches.set(endpoint, []);
+
+            const sent = typeof navigator.sendBeacon === 'function' &&
+                navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+            if (!sent) {
+                fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(() => {});
+            }
+        }
+    }
+};
+
+// Logger for code that isn't tied to a widget instance
+const widgetLog = (level, msg, context) => GazeLogger.log(level, msg, context);
+
+// ============================================================================
+// PIXIJS LOADING
+// PixiJS is taken from (in order): GazeTracker.configure({ pixi }), an existing
+// window.PIXI, the widget's pixi-src attribute, configure({ pixiSrc }), and
+// finally the public CDN. Only one copy is ever loaded per page.
+// ============================================================================
+const DEFAULT_PIXI_SRC = 'https://pixijs.download/v8.6.6/pixi.min.js';
+const SUPPORTED_PIXI_MAJOR = 8;
+
+const GazeConfig = {
+    pixi: null,
+    pixiSrc: DEFAULT_PIXI_SRC,
+    textureBudget: 512  // Megabytes of unused sprite tiles kept cached (see GazeTextureCache)
 };
 
+// The PixiJS namespace in use (null until loaded)
+let Pixi = null;
+let pixiPromise = null;
+
+// Adopt a PixiJS namespace after checking it is a supported version
+function usePixi(namespace) {
+    const version = namespace && namespace.VERSION;
+    if (parseInt(version, 10) !== SUPPORTED_PIXI_MAJOR) {
+        throw new GazeLoadError(`Unsupported PixiJS version ${version || '(unknown)'}: gaze-tracker requires PixiJS v${SUPPORTED_PIXI_MAJOR}.x`, { kind: 'webgl' });
+    }
+    Pixi = namespace;
+    return Pixi;
+}
+
+function loadPixi(src) {
+    if (Pixi) return Promise.resolve(Pixi);
+
+    if (!pixiPromise) {
+        pixiPromise = new Promise((resolve, reject) => {
+            if (GazeConfig.pixi) {
+                resolve(usePixi(GazeConfig.pixi));
+                return;
+            }
+            if (typeof window.PIXI !== 'undefined') {
+                resolve(usePixi(window.PIXI));
+                return;
+            }
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => {
+                try {
+                    resolve(usePixi(window.PIXI));
+                } catch (e) {
+                    reject(e);
+                }
+            };
+            script.onerror = () => reject(new GazeLoadError(`Failed to load PixiJS from ${src}`, { kind: 'network', url: src }));
+            document.head.appendChild(script);
+        }).catch(error => {
+            // Allow a later widget (or a different pixi-src) to try again
+            pixiPromise = null;
+            throw error;
+        });
+    }
+    return pixiPromise;
+}
+
+// Idle behaviour defaults
+const DEFAULT_IDLE_TIMEOUT = 5000;
+
+// Update interval when honouring prefers-reduced-motion with "throttle"
+const REDUCED_MOTION_INTERVAL = 250;
+
+// Grid distance under which the smoothed gaze snaps onto its target and stops animating
+const SETTLE_EPSILON = 0.001;
+
+// Crossfade length when a new sprite set replaces the current one (ms)
+const DEFAULT_TRANSITION_DURATION = 300;
+
+// Gyroscope defaults: degrees of tilt for full gaze, and low-pass filter factor
+const DEFAULT_GYRO_RANGE = 30;
+const GYRO_FILTER = 0.25;
+
+// How long pointer input overrides the look-at element by default
+const DEFAULT_LOOK_AT_OVERRIDE = 2000;
+
+// Canvas resolution defaults: highest pixel density used, and how far the backing
+// store may exceed the sprite frames' own resolution
+const DEFAULT_MAX_RESOLUTION = 2;
+const DEFAULT_MAX_UPSCALE = 1;
+
+// Load retries after a network or decode failure, and the first backoff delay (ms, doubles per retry)
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 1000;
+
+// Buttons shown in the control bar unless the controls attribute says otherwise
+const DEFAULT_CONTROLS = 'gyro fullscreen';
+
+// Accessible name used when neither label nor alt is set
+const DEFAULT_LABEL = 'Animated face that follows the pointer';
+
+// Gaze change per arrow key press (normalized units), and with Shift held
+const KEYBOARD_STEP = 0.1;
+const KEYBOARD_STEP_LARGE = 0.5;
+
+// How the frame is sized inside the widget, as in CSS object-fit
+const FIT_MODES = ['contain', 'cover', 'fill', 'none'];
+
+// Parse an object-position style value ("center top", "30% 20%", "10px 50%")
+// into { x, y }, each { value, px } where value is a fraction unless px is set
+function parsePosition(text) {
+    const keywords = { left: 0, center: 0.5, right: 1, top: 0, bottom: 1 };
+    const parseToken = (token) => {
+        if (token in keywords) return { value: keywords[token], px: false };
+        const match = /^(-?\d*\.?\d+)(%|px)?$/.exec(token);
+        if (!match) return null;
+        return match[2] === '%' ? { value: parseFloat(match[1]) / 100, px: false } : { value: parseFloat(match[1]), px: true };
+    };
+
+    let tokens = (text || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    // A lone vertical keyword, or the keyword pair written y-first
+    if (tokens.length === 1 && (tokens[0] === 'top' || tokens[0] === 'bottom')) tokens = ['center', tokens[0]];
+    if (tokens.length === 2 && (['top', 'bottom'].includes(tokens[0]) || ['left', 'right'].includes(tokens[1]))) {
+        tokens = [tokens[1], tokens[0]];
+    }
+
+    const x = parseToken(tokens[0] || 'center');
+    const y = parseToken(tokens[1] || 'center');
+    return x && y ? { x, y } : null;
+}
+
+// Offset of a scaled frame along one axis of the canvas. A focal point (in
+// frame coordinates) is centered as far as the frame edges allow; otherwise the
+// position aligns like object-position.
+function alignFrame(canvasSize, frameSize, frameScale, position, focal) {
+    const free = canvasSize - frameSize;
+    if (focal) {
+        const point = focal.px ? focal.value * frameScale : focal.value * frameSize;
+        return Math.max(Math.min(0, free), Math.min(Math.max(0, free), canvasSize / 2 - point));
+    }
+    return position.px ? position.value : free * position.value;
+}
+
 // Generate unique instance IDs for widgets
 let widgetInstanceCounter = 0;
 
+// ============================================================================
+// SPRITE MANIFEST
+// Describes how a sprite set is laid out. Without a manifest the widget uses
+// the q0..q3 naming convention. A manifest looks like:
+//
+//   {
+//     "version": 1,
+//     "format": "webp",
+//     "grid":  { "rows": 30, "cols": 30 },
+//     "tiles": { "rows": 2, "cols": 2, "urls": ["q0.webp", "q1.webp", "q2.webp", "q3.webp"] },
+//     "frame": { "width": 512, "height": 640 },
+//     "mobile": { "grid": ..., "tiles": ..., "frame": ... },
+//     "preview": { "grid": ..., "tiles": ..., "frame": ... },
+//     "expressions": { "smile": "smile/", "surprised": "surprised/" }
+//   }
+//
+// Tiles are listed row-major and each one holds (grid / tiles) cells. Tile URLs
+// are resolved relative to the manifest. "frame" is optional (inferred from the
+// tile size when omitted) and lets sheets carry padding. "mobile" optionally
+// overrides grid/tiles/frame on mobile devices, and "preview" describes a small
+// set shown first when the progressive attribute is present. "expressions" names
+// other sprite roots (relative to the manifest) for the expression attribute.
+// ============================================================================
+const MANIFEST_VERSION = 1;
+const MANIFEST_FORMATS = ['webp', 'png', 'jpg', 'jpeg', 'avif'];
+
+const isPositiveInt = (n) => Number.isInteger(n) && n > 0;
+
+// Named expression sets declared by a manifest, as name -> absolute sprite root
+function manifestExpressions(manifest, manifestUrl) {
+    const expressions = new Map();
+    if (!manifest.expressions) return expressions;
+    if (typeof manifest.expressions !== 'object') {
+        throw new GazeLoadError(`Invalid sprite manifest (${manifestUrl}): expressions must map names to sprite paths`, { kind: 'invalid', url: manifestUrl });
+    }
+
+    const base = new URL(manifestUrl, document.baseURI);
+    Object.entries(manifest.expressions).forEach(([name, path]) => {
+        if (typeof path !== 'string') {
+            throw new GazeLoadError(`Invalid sprite manifest (${manifestUrl}): expression "${name}" must be a path`, { kind: 'invalid', url: manifestUrl });
+        }
+        expressions.set(name, new URL(path, base).href);
+    });
+    return expressions;
+}
+
+// Build a sprite layout from the legacy q0..q3 naming convention
+function conventionLayout(basePath, gridSize, suffix) {
+    return {
+        gridRows: gridSize,
+        gridCols: gridSize,
+        tileRows: 2,
+        tileCols: 2,
+        urls: ['q0', 'q1', 'q2', 'q3'].map(q => `${basePath}${q}${suffix}.webp`),
+        frameWidth: null,
+        frameHeight: null,
+        format: 'webp'
+    };
+}
+
+// Validate a manifest (or its mobile variant) and turn it into a sprite layout
+function manifestLayout(manifest, manifestUrl, variant) {
+    const fail = (msg) => { throw new GazeLoadError(`Invalid sprite manifest (${manifestUrl}): ${msg}`, { kind: 'invalid', url: manifestUrl }); };
+
+    if (!manifest || typeof manifest !== 'object') fail('not a JSON object');
+    if (manifest.version !== undefined && manifest.version !== MANIFEST_VERSION) {
+        fail(`unsupported version ${manifest.version} (expected ${MANIFEST_VERSION})`);
+    }
+
+    const spec = { ...manifest, ...(variant && manifest[variant]) };
+    const { grid, tiles, frame } = spec;
+    const format = (spec.format || 'webp').toLowerCase();
+
+    if (!MANIFEST_FORMATS.includes(format)) fail(`unsupported format "${spec.format}"`);
+    if (!grid || !isPositiveInt(grid.rows) || !isPositiveInt(grid.cols)) fail('grid.rows and grid.cols must be positive integers');
+    if (!tiles || !isPositiveInt(tiles.rows) || !isPositiveInt(tiles.cols)) fail('tiles.rows and tiles.cols must be positive integers');
+    if (grid.rows % tiles.rows !== 0 || grid.cols % tiles.cols !== 0) fail('grid must divide evenly into tiles');
+    if (!Array.isArray(tiles.urls) || tiles.urls.length !== tiles.rows * tiles.cols) {
+        fail(`tiles.urls must list ${tiles.rows * tiles.cols} URLs`);
+    }
+    if (frame && (!isPositiveInt(frame.width) || !isPositiveInt(frame.height))) fail('frame.width and frame.height must be positive integers');
+
+    const base = new URL(manifestUrl, document.baseURI);
+    return {
+        gridRows: grid.rows,
+        gridCols: grid.cols,
+        tileRows: tiles.rows,
+        tileCols: tiles.cols,
+        urls: tiles.urls.map(u => new URL(u, base).href),
+        frameWidth: frame ? frame.width : null,
+        frameHeight: frame ? frame.height : null,
+        format
+    };
+}
+
+// ============================================================================
+// LOAD ERRORS
+// Failures reach gaze-error as a GazeLoadError whose kind says what went wrong:
+//   not-found - A sprite or manifest URL returned 404/410
+//   network   - The request failed or the server returned an error (retried)
+//   decode    - The file arrived but isn't a usable image or manifest (retried)
+//   invalid   - The files load but don't fit together (bad manifest, mismatched tile sizes)
+//   webgl     - The WebGL renderer couldn't be created, or PixiJS isn't v8
+//   unknown   - Anything else
+// ============================================================================
+class GazeLoadError extends Error {
+    constructor(message, { kind = 'unknown', url = null, quadrant = null, status = null, cause } = {}) {
+        super(message);
+        this.name = 'GazeLoadError';
+        this.kind = kind;
+        this.url = url;
+        this.quadrant = quadrant;
+        this.status = status;
+        if (cause) this.cause = cause;
+    }
+
+    static from(error) {
+        if (error instanceof GazeLoadError) return error;
+        return new GazeLoadError(error.message, { url: error.url, quadrant: error.quadrant, cause: error });
+    }
+}
+
+// Image loads don't expose the HTTP status, so ask the server with a HEAD
+// request: a missing file is not-found, one that exists failed to decode
+async function probeLoadFailure(url) {
+    if (navigator.onLine === false) return { kind: 'network', status: null };
+    if (isOffline) return { kind: 'not-found', status: null };
+    try {
+        const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+        if (response.status === 404 || response.status === 410) {
+            return { kind: 'not-found', status: response.status };
+        }
+        return { kind: response.ok ? 'decode' : 'network', status: response.status };
+    } catch (e) {
+        return { kind: 'network', status: null };
+    }
+}
+
+// Shown in the error overlay when the error slot is empty
+const ERROR_MESSAGES = {
+    'not-found': 'The animation could not be found.',
+    network: 'The animation could not be loaded. Check your connection.',
+    decode: 'The animation files could not be read.',
+    invalid: 'The animation files do not match each other.',
+    webgl: 'This browser cannot display the animation.',
+    unknown: 'The animation could not be loaded.'
+};
+
+// ============================================================================
+// SHARED TEXTURE CACHE
+// Sprite tiles are shared by every widget on the page, keyed by resolved URL
+// and reference counted. Tiles no widget uses stay cached for quick reuse until
+// the texture budget is exceeded, then the least recently used are evicted.
+// ============================================================================
+const GazeTextureCache = {
+    entries: new Map(),  // key -> { key, url, kind, promise, texture, refs, bytes, lastUsed }
+
+    // Get a tile, loading it only if no other widget has. kind keeps WebGL
+    // textures and canvas-fallback images apart.
+    acquire(url, kind, load) {
+        const key = `${kind}:${new URL(url, document.baseURI).href}`;
+        let entry = this.entries.get(key);
+
+        if (!entry) {
+            entry = { key, url, kind, texture: null, refs: 0, bytes: 0, lastUsed: 0 };
+            entry.promise = load().then(texture => {
+                entry.texture = texture;
+                // Decoded RGBA size, a fair estimate of GPU memory
+                entry.bytes = texture.width * texture.height * 4;
+                this.evict();
+                return texture;
+            }, error => {
+                // Don't cache failures so a later load can retry
+                this.entries.delete(key);
+                throw error;
+            });
+            this.entries.set(key, entry);
+        } else {
+            widgetLog('debug', `Texture cache hit: ${url}`);
+        }
+
+        entry.refs++;
+        entry.lastUsed = Date.now();
+        return entry.promise.catch(error => {
+            entry.refs--;
+            throw error;
+        });
+    },
+
+    // Take another reference to a tile returned by acquire()
+    retain(texture) {
+        const entry = this._entryFor(texture);
+        if (entry) entry.refs++;
+    },
+
+    // Drop one reference to a tile
+    release(texture) {
+        const entry = this._entryFor(texture);
+        if (entry) {
+            entry.refs = Math.max(0, entry.refs - 1);
+            entry.lastUsed = Date.now();
+        }
+        this.evict();
+    },
+
+    _entryFor(texture) {
+        for (const entry of this.entries.values()) {
+            if (entry.texture === texture) return entry;
+        }
+        return null;
+    },
+
+    // Destroy unused tiles, oldest first, until the cache fits the budget
+    evict() {
+        const budget = GazeConfig.textureBudget * 1024 * 1024;
+        let total = 0;
+        this.entries.forEach(entry => { total += entry.bytes; });
+        if (total <= budget) return;
+
+        const unused = [...this.entries.values()]
+            .filter(entry => entry.texture && entry.refs === 0)
+            .sort((a, b) => a.lastUsed - b.lastUsed);
+
+        for (const entry of unused) {
+            if (total <= budget) break;
+            this.entries.delete(entry.key);
+            total -= entry.bytes;
+            this._dispose(entry);
+            widgetLog('debug', `Evicted texture ${entry.url} (${Math.round(entry.bytes / 1048576)}MB)`);
+        }
+    },
+
+    _dispose(entry) {
+        // Canvas-fallback images are simply garbage collected
+        if (entry.kind === 'canvas' || !Pixi) return;
+        try {
+            if (Pixi.Assets.cache && Pixi.Assets.cache.has(entry.url)) {
+                Pixi.Assets.unload(entry.url);
+            } else {
+                entry.texture.destroy(true);
+            }
+        } catch (e) {
+            widgetLog('warn', `Failed to destroy texture ${entry.url}: ${e.message}`);
+        }
+    }
+};
+
+// Probes for manifest.json next to the sprites, keyed by resolved URL, so widgets
+// and expression preloads sharing a folder ask only once. Holds the manifest or null.
+const manifestProbes = new Map();  // url -> Promise<manifest | null>
+
 // ============================================================================
 // SHARED RENDERER MANAGER
-// All gaze-tracker widgets share a single WebGL context to avoid browser limits
+// All gaze-tracker widgets share a single WebGL context to avoid browser limits.
+// Each widget keeps its own PIXI stage and 2D canvas; the shared renderer draws
+// a stage offscreen and the result is copied into that widget's canvas. One
+// requestAnimationFrame loop drives every widget that is still moving, and
+// sleeps once they have all settled.
 // ============================================================================
 const GazeRendererManager = {
     renderer: null,
@@ -43,6 +582,9 @@ const GazeRendererManager = {
     initQueue: [],
     isProcessingQueue: false,
     activeWidgets: new Set(),
+    awakeWidgets: new Set(),  // Widgets that want the next frame
+    frameId: null,
+    contextLost: false,
 
     // Get or create the shared renderer
     async getRenderer() {
@@ -75,7 +617,7 @@ const GazeRendererManager = {
             autoDensity: false,
             preferWebGLVersion: 2,
             failIfMajorPerformanceCaveat: false,
-            // Don't create a canvas - each widget has its own
+            // Offscreen - widgets copy what they need into their own canvas
             canvas: document.createElement('canvas')
         };
 
@@ -84,11 +626,76 @@ const GazeRendererManager = {
             options.preferWebGLVersion = 1;
         }
 
-        const renderer = await PIXI.autoDetectRenderer(options);
+        const renderer = await Pixi.autoDetectRenderer(options);
+
+        // Context loss affects every widget: stop drawing until it comes back,
+        // then have each WebGL widget rebuild its sprites
+        renderer.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            widgetLog('warn', 'WebGL context lost');
+            this.contextLost = true;
+        });
+        renderer.canvas.addEventListener('webglcontextrestored', () => {
+            widgetLog('info', 'WebGL context restored');
+            this.contextLost = false;
+            this.activeWidgets.forEach(widget => widget.stage && widget._restoreSprites());
+        });
+
         widgetLog('info', `Shared renderer created (type: ${renderer.type})`);
         return renderer;
     },
 
+    // Draw a widget's stage with the shared renderer and copy it into the widget's canvas
+    present(widget) {
+        const renderer = this.renderer;
+        const surface = widget.surface;
+        if (!renderer || this.contextLost || !widget.stage || !surface) return;
+
+        const { width, height } = surface;
+        if (width === 0 || height === 0) return;
+
+        // The shared canvas only ever grows; each widget uses its top-left corner
+        if (renderer.width < width || renderer.height < height) {
+            renderer.resize(Math.max(renderer.width, width), Math.max(renderer.height, height));
+        }
+        renderer.render({ container: widget.stage });
+        surface.drawCanvas(renderer.canvas, width, height);
+    },
+
+    // Wake the shared loop for a widget; it keeps ticking until the widget settles
+    requestFrame(widget) {
+        this.awakeWidgets.add(widget);
+        if (this.frameId === null) {
+            this.frameId = requestAnimationFrame(() => this._frame());
+        }
+    },
+
+    cancelFrame(widget) {
+        this.awakeWidgets.delete(widget);
+        if (this.awakeWidgets.size === 0 && this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    },
+
+    _frame() {
+        this.frameId = null;
+        this.awakeWidgets.forEach(widget => {
+            let awake = false;
+            try {
+                awake = widget._tick();
+            } catch (e) {
+                widgetLog('error', `Frame error: ${e.message}`, { instanceId: widget.instanceId });
+            }
+            if (!awake) this.awakeWidgets.delete(widget);
+        });
+
+        // Nothing moving: stay asleep until the next requestFrame()
+        if (this.awakeWidgets.size > 0 && this.frameId === null) {
+            this.frameId = requestAnimationFrame(() => this._frame());
+        }
+    },
+
     // Queue a widget for initialization (sequential processing)
     queueInit(widget) {
         return new Promise((resolve, reject) => {
@@ -123,6 +730,7 @@ const GazeRendererManager = {
     // Unregister a widget when it's destroyed
     unregisterWidget(widget) {
         this.activeWidgets.delete(widget);
+        this.cancelFrame(widget);
 
         // If no more widgets, we could destroy the renderer
         // But keeping it around is fine - it's just one context
@@ -132,6 +740,66 @@ const GazeRendererManager = {
     }
 };
 
+// ============================================================================
+// CANVAS RENDERER
+// Every widget displays a 2D canvas. With WebGL, the shared renderer's output
+// is copied into it. When WebGL is unavailable (or renderer="canvas") the
+// current cell is drawn straight from the tile images with the 2D canvas API,
+// so the face keeps following the cursor without PixiJS or a GPU context.
+// ============================================================================
+class GazeCanvasRenderer {
+    constructor() {
+        this.type = 'canvas';
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        if (!this.ctx) {
+            throw new Error('Canvas 2D context unavailable');
+        }
+    }
+
+    get width() {
+        return this.canvas.width;
+    }
+
+    get height() {
+        return this.canvas.height;
+    }
+
+    resize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+    }
+
+    // Draw frames (sw x sh source rectangles of tile images) into the destination
+    // rectangle, each composited over the previous one with its own alpha.
+    // clear: false draws over the existing content, faded by alpha.
+    drawFrames(frames, sw, sh, dest, { clear = true, alpha: opacity = 1 } = {}) {
+        const ctx = this.ctx;
+        if (clear) {
+            ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        for (const { image, x, y, alpha } of frames) {
+            ctx.globalAlpha = alpha * opacity;
+            ctx.drawImage(image, x, y, sw, sh, dest.x, dest.y, dest.width, dest.height);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Copy the top-left width x height region of another canvas
+    drawCanvas(source, width, height) {
+        const ctx = this.ctx;
+        ctx.globalCompositeOperation = 'copy';
+        ctx.drawImage(source, 0, 0, width, height, 0, 0, width, height);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    destroy() {
+        this.canvas.remove();
+        this.canvas.width = 0;
+        this.canvas.height = 0;
+    }
+}
+
 class GazeTracker extends HTMLElement {
     constructor() {
         super();
@@ -139,56 +807,147 @@ class GazeTracker extends HTMLElement {
 
         // Unique instance ID to prevent cache collisions between multiple widgets
         this.instanceId = ++widgetInstanceCounter;
-        widgetLog('info', `constructor called (instance ${this.instanceId})`);
+        this._log('debug', 'constructor called');
 
         // Auto-detect mobile vs desktop (user agent only - window width is unreliable)
         this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
 
-        // State - grid is 30 for desktop, 20 for mobile
-        this.app = null;
+        // State - grid is 30 for desktop, 20 for mobile (unless a manifest says otherwise)
+        this.stage = null;    // PIXI container drawn by the shared renderer
+        this.surface = null;  // GazeCanvasRenderer the stage is copied into
         this.sprite = null;
-        this.quadrantTextures = {};
-        this.gridSize = this.isMobile ? 20 : 30;
-        this.quadrantSize = this.gridSize / 2;
+        this.spriteLayer = null;   // Container holding the base sprite and blend layers
+        this.blendSprites = [];    // Extra sprites for interpolation="blend"
+        this.interpolation = 'nearest';
+        this.blendKey = null;      // Last blended position drawn
+        this.needsRender = false;  // Stage changed since it was last presented
+        this.transition = null;    // Crossfade from a replaced sprite set { previous, start, duration, progress }
+        this.transitionDuration = DEFAULT_TRANSITION_DURATION;
+        this.lastFallbackFrames = null;  // Frames last drawn by the canvas fallback
+        this.expression = null;          // Active expression name (null = the src set)
+        this.manifestExpressions = new Map();  // Expressions declared by the src manifest
+        this.preloadedSets = new Map();  // Sprite root -> { promise, layout, textures } held for switching
+        this.preloadGeneration = 0;      // Incremented when preloaded sets are released, to stop stale preloads
+        this.spriteSrc = null;           // Sprite root currently shown (or loading)
+        this.idleWakeTimer = null; // Wakes the sleeping loop when the idle timeout is due
+        this.fallbackRenderer = null;  // GazeCanvasRenderer when WebGL is unavailable
+        this.frameRect = null;         // Where the frame is drawn on the canvas { x, y, width, height }
+        this.tileTextures = [];
+        this.gridRows = this.isMobile ? 20 : 30;
+        this.gridCols = this.gridRows;
+        this.spriteLayout = null;  // Active layout (see SPRITE MANIFEST)
         this.imageWidth = null;  // Auto-detected
         this.imageHeight = null; // Auto-detected
-        this.currentCol = this.gridSize / 2;
-        this.currentRow = this.gridSize / 2;
-        this.targetCol = this.gridSize / 2;
-        this.targetRow = this.gridSize / 2;
+        this.currentCol = this.gridCols / 2;
+        this.currentRow = this.gridRows / 2;
+        this.targetCol = this.gridCols / 2;
+        this.targetRow = this.gridRows / 2;
         this.smoothing = 0.12;
         this.isInitialized = false;
         this.isInitializing = false;
+        this.initPromise = null;   // Pending _startInit(), so callers can wait for it
+        this.initGeneration = 0;   // Incremented by cleanup() so a superseded _doInit() bails out
         this.resizeObserver = null;
         this.textureCache = {};
         this.gyroEnabled = false;
+        this.gyroNeutral = null;   // Neutral pose in screen axes { x, y }, captured on first reading
+        this.gyroFiltered = null;  // Low-pass filtered tilt in screen axes
         this.isTouching = false;
+        this.inputMode = 'auto';  // 'auto' = built-in listeners, 'manual' = API only
+        this.idleMode = 'none';   // 'none' | 'center' | 'wander'
+        this.idleTimeout = DEFAULT_IDLE_TIMEOUT;
+        this.isIdle = false;
+        this.lastInputTime = performance.now();
+        this.idleWander = null;   // Wander path state while idling
+        this.gazeMapping = this._parseGazeMapping();  // Pointer -> gaze mapping options
+        this.frameFit = this._parseFrameFit();        // fit / position / focal-point
+        this.cssSize = null;       // Widget size in CSS pixels, from the ResizeObserver
+        this.resolution = 1;       // Canvas pixels per CSS pixel
+        this.maxResolution = DEFAULT_MAX_RESOLUTION;
+        this.maxUpscale = DEFAULT_MAX_UPSCALE;
+        this.lookAtSelector = null;  // look-at attribute (CSS selector or ':focus')
+        this.lookAtOverride = DEFAULT_LOOK_AT_OVERRIDE;
+        this.lookAtActive = false;   // True while the gaze is aimed at the look-at element
+        this.lookAtTimer = null;     // Re-aims at the element once pointer override expires
+        this.lastPointerTime = -Infinity;
         this.isMobileFullscreen = false;  // CSS-based fullscreen for mobile
-        this.contextLost = false;  // WebGL context loss flag
+        this.isRunning = true;     // Animating and listening for input
+        this.userPaused = false;   // pause() called by the host page
+        this.isInView = true;      // Updated by IntersectionObserver
+        this.prefersReducedMotion = false;
+        this.lastReducedMotionUpdate = 0;
+        this.loadToken = 0;        // Incremented per loadSprite() so stale loads are dropped
+        this.retries = DEFAULT_RETRIES;
+        this.retryDelay = DEFAULT_RETRY_DELAY;
+        this.retryCount = 0;       // Automatic retries used since the last successful or manual load
+        this.retryTimer = null;
+        this.loadError = null;     // GazeLoadError from the last failed init
+        this.onlineHandler = null; // Reloads when the connection comes back after a network error
+        this.frameRow = null;  // Cell currently displayed (for gaze-frame events)
+        this.frameCol = null;
     }
 
     static get observedAttributes() {
-        return ['src', 'smoothing', 'hide-controls'];
+        return ['src', 'manifest', 'smoothing', 'interpolation', 'hide-controls', 'controls', 'alt', 'label', 'poster', 'retries', 'retry-delay', 'input', 'idle', 'idle-timeout', 'look-at', 'look-at-override',
+            'range', 'sensitivity', 'dead-zone', 'curve', 'invert-x', 'invert-y', 'gyro-neutral', 'reduced-motion', 'transition-duration', 'expression', 'fit', 'position', 'focal-point', 'max-resolution', 'max-upscale'];
+    }
+
+    // Route all diagnostics through the shared logger with this widget's context
+    _log(level, message) {
+        GazeLogger.log(level, message, { instanceId: this.instanceId }, {
+            level: this.getAttribute('log-level'),
+            endpoint: this.getAttribute('log-endpoint')
+        });
+    }
+
+    // Install a page-wide log sink, e.g. GazeTracker.setLogger((level, msg, ctx) => ...)
+    // Pass null to remove it. Widgets with a log-level attribute keep their own level.
+    static setLogger(fn, { level = 'info' } = {}) {
+        GazeLogger.sink = typeof fn === 'function' ? fn : null;
+        GazeLogger.level = GazeLogger.sink ? level : 'none';
+    }
+
+    // Page-wide configuration, call before widgets initialize:
+    //   pixi    - An already-imported PixiJS namespace (import * as PIXI from 'pixi.js')
+    //   pixiSrc - URL of a self-hosted pixi.min.js
+    //   textureBudget - Megabytes of sprite tiles to keep cached once no widget uses them
+    static configure(options = {}) {
+        if (options.pixi) {
+            // Validate first so a rejected namespace isn't kept for later loads
+            usePixi(options.pixi);
+            GazeConfig.pixi = options.pixi;
+        }
+        if (options.pixiSrc) {
+            GazeConfig.pixiSrc = options.pixiSrc;
+        }
+        if (options.textureBudget !== undefined) {
+            GazeConfig.textureBudget = Math.max(0, Number(options.textureBudget) || 0);
+            GazeTextureCache.evict();
+        }
     }
 
     connectedCallback() {
-        widgetLog('info', 'connectedCallback');
+        this._log('info', 'connectedCallback');
         this.render();
+        this._setupKeyboard();
+        this.retryCount = 0;
         // Only auto-init if src attribute is set
         // Otherwise wait for src to be set via JavaScript
         const src = this.getAttribute('src');
         if (src) {
-            this.init().catch(err => {
-                widgetLog('error', `init failed: ${err.message}`);
-                console.error('GazeTracker init failed:', err);
-            });
+            this._startInit();
         } else {
-            widgetLog('info', 'waiting for src attribute to be set');
+            this._log('info', 'waiting for src attribute to be set');
         }
     }
 
     disconnectedCallback() {
         this.cleanup();
+        this._removeFullscreenListeners();
+        if (this.keyHandler) {
+            this.removeEventListener('keydown', this.keyHandler);
+            this.keyHandler = null;
+        }
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
@@ -198,21 +957,124 @@ class GazeTracker extends HTMLElement {
             case 'smoothing':
                 this.smoothing = parseFloat(newValue) || 0.12;
                 break;
+            case 'interpolation':
+                this.interpolation = newValue === 'blend' ? 'blend' : 'nearest';
+                this.blendKey = null;
+                if (this.isInitialized) {
+                    this.renderGaze(true);
+                    this.requestFrame();
+                }
+                break;
+            case 'range':
+            case 'sensitivity':
+            case 'dead-zone':
+            case 'curve':
+            case 'invert-x':
+            case 'invert-y':
+                this.gazeMapping = this._parseGazeMapping();
+                break;
+            case 'controls':
+            case 'hide-controls':
+                this._applyControls();
+                break;
+            case 'alt':
+            case 'label':
+                this._applyAccessibility();
+                break;
+            case 'poster':
+                this._updatePoster();
+                break;
+            case 'max-resolution': {
+                const resolution = parseFloat(newValue);
+                this.maxResolution = resolution > 0 ? resolution : DEFAULT_MAX_RESOLUTION;
+                if (this.isInitialized) this._resizeCanvas();
+                break;
+            }
+            case 'max-upscale': {
+                const upscale = parseFloat(newValue);
+                this.maxUpscale = upscale > 0 ? upscale : DEFAULT_MAX_UPSCALE;
+                if (this.isInitialized) this._resizeCanvas();
+                break;
+            }
+            case 'fit':
+            case 'position':
+            case 'focal-point':
+                this.frameFit = this._parseFrameFit();
+                this._applyPlaceholderFit();
+                if (this.isInitialized) {
+                    this._finishTransition();
+                    this._resizeCanvas();
+                }
+                break;
+            case 'reduced-motion':
+                this._updateRunState();
+                break;
+            case 'gyro-neutral':
+                // Re-read the neutral pose on the next sensor reading
+                this.gyroNeutral = null;
+                break;
+            case 'look-at':
+                this.lookAtSelector = newValue ? newValue.trim() || null : null;
+                if (this.isInitialized) this._attachLookAt();
+                break;
+            case 'look-at-override': {
+                const override = parseInt(newValue, 10);
+                this.lookAtOverride = override >= 0 ? override : DEFAULT_LOOK_AT_OVERRIDE;
+                break;
+            }
+            case 'idle':
+                this.idleMode = newValue === 'center' || newValue === 'wander' ? newValue : 'none';
+                if (this.isIdle) this._exitIdle();
+                this.requestFrame();
+                break;
+            case 'expression':
+                if (this.isInitialized) {
+                    this.setExpression(newValue).catch(err => this._emitError(err));
+                } else {
+                    // Picked up by init
+                    this.expression = newValue || null;
+                }
+                break;
+            case 'transition-duration': {
+                const duration = parseInt(newValue, 10);
+                this.transitionDuration = duration >= 0 ? duration : DEFAULT_TRANSITION_DURATION;
+                break;
+            }
+            case 'idle-timeout': {
+                const timeout = parseInt(newValue, 10);
+                this.idleTimeout = timeout >= 0 ? timeout : DEFAULT_IDLE_TIMEOUT;
+                this.requestFrame();
+                break;
+            }
+            case 'input':
+                this.inputMode = newValue === 'manual' ? 'manual' : 'auto';
+                if (this.isInitialized) {
+                    this._removeInputListeners();
+                    this._addInputListeners();
+                }
+                break;
+            case 'manifest':
+                if (this.isInitialized) this._reloadSpriteSets();
+                break;
             case 'src':
                 if (this.isInitialized) {
-                    // Already initialized, just load new sprites
-                    this.loadSprite(newValue || '/');
-                } else if (newValue && !this.isInitializing) {
+                    // Already initialized, just load new sprites (and the new set's expressions)
+                    this._reloadSpriteSets();
+                } else if (newValue) {
                     // Not initialized yet but src is now set - initialize
-                    this.isInitializing = true;
-                    this.init().catch(err => {
-                        widgetLog('error', `init failed: ${err.message}`);
-                        console.error('GazeTracker init failed:', err);
-                    }).finally(() => {
-                        this.isInitializing = false;
-                    });
+                    this._startInit();
                 }
                 break;
+            case 'retries': {
+                const retries = parseInt(newValue, 10);
+                this.retries = retries >= 0 ? retries : DEFAULT_RETRIES;
+                break;
+            }
+            case 'retry-delay': {
+                const delay = parseFloat(newValue);
+                this.retryDelay = delay >= 0 ? delay : DEFAULT_RETRY_DELAY;
+                break;
+            }
         }
     }
 
@@ -227,6 +1089,21 @@ class GazeTracker extends HTMLElement {
                     position: relative;
                 }
 
+                :host(:focus-visible) {
+                    outline: 2px solid var(--gaze-accent-color, #ff6b6b);
+                    outline-offset: -2px;
+                }
+
+                /* Screen reader announcements */
+                .announcer {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    overflow: hidden;
+                    clip: rect(0 0 0 0);
+                    white-space: nowrap;
+                }
+
                 .gaze-container {
                     width: 100%;
                     height: 100%;
@@ -249,14 +1126,16 @@ class GazeTracker extends HTMLElement {
                     display: block;
                 }
 
-                .placeholder-img {
+                .gaze-container .placeholder-img,
+                ::slotted([slot="poster"]) {
                     position: absolute;
                     top: 0;
                     left: 0;
                     width: 100%;
                     height: 100%;
-                    object-fit: contain;
-                    object-position: center;
+                    transform: none;
+                    object-fit: var(--poster-fit, contain);
+                    object-position: var(--poster-position, center);
                     opacity: 1;
                     transition: opacity 0.3s ease-out;
                 }
@@ -284,6 +1163,36 @@ class GazeTracker extends HTMLElement {
                     pointer-events: none;
                 }
 
+                /* loading-indicator picks the spinner or the loading slot */
+                .spinner-overlay[data-indicator="slot"] .spinner,
+                .spinner-overlay:not([data-indicator="slot"]) slot[name="loading"] {
+                    display: none;
+                }
+
+                .error-overlay {
+                    position: absolute;
+                    inset: 0;
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 12px;
+                    padding: 16px;
+                    box-sizing: border-box;
+                    background: rgba(0, 0, 0, 0.6);
+                    color: #fff;
+                    text-align: center;
+                    z-index: 50;
+                }
+
+                .error-overlay[hidden] {
+                    display: none;
+                }
+
+                .error-message {
+                    margin: 0;
+                }
+
                 .spinner {
                     width: 48px;
                     height: 48px;
@@ -299,12 +1208,14 @@ class GazeTracker extends HTMLElement {
 
                 .controls {
                     position: absolute;
-                    top: 20px;
-                    right: 20px;
+                    top: var(--gaze-controls-top, 20px);
+                    right: var(--gaze-controls-right, 20px);
+                    bottom: var(--gaze-controls-bottom, auto);
+                    left: var(--gaze-controls-left, auto);
                     display: flex;
-                    gap: 8px;
+                    gap: var(--gaze-controls-gap, 8px);
                     z-index: 100;
-                    opacity: 0.5;
+                    opacity: var(--gaze-controls-opacity, 0.5);
                     transition: opacity 0.2s;
                 }
 
@@ -324,24 +1235,41 @@ class GazeTracker extends HTMLElement {
                 }
 
                 .ctrl-btn {
-                    background: rgba(0, 0, 0, 0.6);
-                    border: 2px solid rgba(255, 255, 255, 0.3);
-                    padding: 8px 12px;
-                    font-size: 1.2rem;
-                    color: #fff;
-                    border-radius: 8px;
+                    display: inline-flex;
+                    align-items: center;
+                    justify-content: center;
+                    background: var(--gaze-button-background, rgba(0, 0, 0, 0.6));
+                    border: 2px solid var(--gaze-button-border-color, rgba(255, 255, 255, 0.3));
+                    padding: var(--gaze-button-padding, 8px 12px);
+                    font-size: var(--gaze-button-size, 1.2rem);
+                    color: var(--gaze-button-color, #fff);
+                    border-radius: var(--gaze-button-radius, 8px);
                     cursor: pointer;
                     transition: all 0.2s;
                 }
 
+                .ctrl-btn[hidden] {
+                    display: none;
+                }
+
                 .ctrl-btn:hover {
-                    background: rgba(0, 0, 0, 0.8);
-                    border-color: #ff6b6b;
+                    background: var(--gaze-button-hover-background, rgba(0, 0, 0, 0.8));
+                    border-color: var(--gaze-accent-color, #ff6b6b);
                 }
 
                 .ctrl-btn.active {
-                    background: rgba(255, 107, 107, 0.6);
-                    border-color: #ff6b6b;
+                    background: var(--gaze-button-active-background, rgba(255, 107, 107, 0.6));
+                    border-color: var(--gaze-accent-color, #ff6b6b);
+                }
+
+                /* Fullscreen button shows the enter or exit icon */
+                .fullscreen-btn .exit-icon,
+                .fullscreen-btn.fullscreen .enter-icon {
+                    display: none;
+                }
+
+                .fullscreen-btn.fullscreen .exit-icon {
+                    display: contents;
                 }
 
                 :host(:fullscreen),
@@ -391,541 +1319,1827 @@ class GazeTracker extends HTMLElement {
                 }
             </style>
             <div class="gaze-container">
-                <div class="controls">
-                    <button class="ctrl-btn gyro-btn" title="Toggle gyroscope control">&#x1F4F1;</button>
-                    <button class="ctrl-btn fullscreen-btn" title="Toggle fullscreen">&#x26F6;</button>
+                <div class="controls" part="controls">
+                    <slot name="controls"></slot>
+                    <button class="ctrl-btn gyro-btn" part="button gyro-button" type="button" title="Toggle gyroscope control"
+                            aria-label="Gyroscope control" aria-pressed="false">
+                        <span aria-hidden="true"><slot name="gyro-icon">&#x1F4F1;</slot></span>
+                    </button>
+                    <button class="ctrl-btn reset-btn" part="button reset-button" type="button" title="Look straight ahead"
+                            aria-label="Look straight ahead">
+                        <span aria-hidden="true"><slot name="reset-icon">&#x21BA;</slot></span>
+                    </button>
+                    <button class="ctrl-btn fullscreen-btn" part="button fullscreen-button" type="button" title="Toggle fullscreen"
+                            aria-label="Fullscreen" aria-pressed="false">
+                        <span class="enter-icon" aria-hidden="true"><slot name="fullscreen-icon">&#x26F6;</slot></span>
+                        <span class="exit-icon" aria-hidden="true"><slot name="exit-fullscreen-icon">&#x2715;</slot></span>
+                    </button>
                 </div>
-                <img class="placeholder-img" style="display: none;" alt="" />
-                <div class="spinner-overlay" style="display: none;">
+                <div class="announcer" role="status" aria-live="polite"></div>
+                <slot name="poster"></slot>
+                <img class="placeholder-img" part="poster" style="display: none;" alt="" />
+                <canvas class="placeholder-img auto-poster" part="poster" style="display: none;"></canvas>
+                <div class="spinner-overlay" part="loading" style="display: none;">
                     <div class="spinner"></div>
+                    <slot name="loading"></slot>
+                </div>
+                <div class="error-overlay" part="error" role="alert" hidden>
+                    <slot name="error">
+                        <p class="error-message"></p>
+                        <button class="ctrl-btn retry-btn" part="button retry-button" type="button">Try again</button>
+                    </slot>
                 </div>
             </div>
         `;
+        this._applyPlaceholderFit();
+        this._applyControls();
+        this.shadowRoot.querySelector('slot[name="controls"]')
+            .addEventListener('slotchange', () => this._applyAccessibility());
+        this.shadowRoot.querySelector('slot[name="poster"]')
+            .addEventListener('slotchange', () => this._updatePoster());
+        this.shadowRoot.querySelector('.retry-btn')
+            .addEventListener('click', () => this.reload());
     }
 
-    async init() {
-        widgetLog('info', `init started (instance ${this.instanceId}, ${this.isMobile ? 'mobile' : 'desktop'}, grid=${this.gridSize})`);
+    // Focusable, labelled host. role="img" would hide the control bar from
+    // assistive technology, so while buttons are showing the host is a group.
+    _applyAccessibility() {
+        if (!this.hasAttribute('tabindex')) this.setAttribute('tabindex', '0');
+        if (this.ownsRole === undefined) this.ownsRole = !this.hasAttribute('role');
+        if (this.ownsRole) {
+            const hasButtons = !this.hasAttribute('hide-controls') &&
+                (this.querySelector(':scope > [slot="controls"]') ||
+                    [...this.shadowRoot.querySelectorAll('.ctrl-btn')].some(btn => !btn.hidden));
+            this.setAttribute('role', hasButtons ? 'group' : 'img');
+        }
+        if (this.ownsLabel === undefined) this.ownsLabel = !this.hasAttribute('aria-label');
+        if (this.ownsLabel) {
+            this.setAttribute('aria-label', this.getAttribute('label') || this.getAttribute('alt') || DEFAULT_LABEL);
+        }
+    }
 
-        // Try to show placeholder image immediately while we load
-        const src = this.getAttribute('src') || '/';
-        this._showPlaceholder(src);
+    // Tell screen reader users about state changes (gyro, fullscreen)
+    _announce(message) {
+        const region = this.shadowRoot.querySelector('.announcer');
+        if (!region) return;
+        // Clear first so repeating the same message is announced again
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, 50);
+    }
 
-        if (typeof PIXI === 'undefined') {
-            widgetLog('info', 'loading PixiJS');
-            await this.loadPixiJS();
-            widgetLog('info', 'PixiJS loaded');
-        }
+    // Arrow keys nudge the gaze while the widget has focus, Home looks straight ahead
+    _setupKeyboard() {
+        if (this.keyHandler) return;
+        this.keyHandler = (e) => {
+            if (!this.isInitialized || this.inputMode === 'manual' || e.composedPath()[0] !== this) return;
+            if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+            const step = e.shiftKey ? KEYBOARD_STEP_LARGE : KEYBOARD_STEP;
+            const nudges = { ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, -step], ArrowDown: [0, step] };
+            if (e.key !== 'Home' && !nudges[e.key]) return;
+            e.preventDefault();
+            if (!this._acceptPointer()) return;
+
+            if (e.key === 'Home') {
+                this.setGaze(0, 0);
+                return;
+            }
+            const { x, y } = this._toNormalized(this.targetCol, this.targetRow);
+            const [dx, dy] = nudges[e.key];
+            this.setGaze(Math.max(-1, Math.min(1, x + dx)), Math.max(-1, Math.min(1, y + dy)));
+        };
+        this.addEventListener('keydown', this.keyHandler);
+    }
+
+    // Show the buttons listed in the controls attribute (gyro only on touch devices)
+    _applyControls() {
+        const controls = (this.getAttribute('controls') ?? DEFAULT_CONTROLS).trim().split(/\s+/);
+        const hasTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        const buttons = { gyro: '.gyro-btn', fullscreen: '.fullscreen-btn', reset: '.reset-btn' };
+        Object.entries(buttons).forEach(([name, selector]) => {
+            const btn = this.shadowRoot.querySelector(selector);
+            if (btn) btn.hidden = !controls.includes(name) || (name === 'gyro' && !hasTouch);
+        });
+        this._applyAccessibility();
+    }
+
+    // Start init unless one is already running or done. init() handles its own errors.
+    // The promise settles once the widget is ready or has given up.
+    _startInit() {
+        if (this.initPromise) return this.initPromise;
+        if (this.isInitialized || !this.isConnected) return Promise.resolve();
+        this.isInitializing = true;
+        this.initPromise = this.init().finally(() => {
+            this.isInitializing = false;
+            this.initPromise = null;
+        }).then(() => {
+            // Superseded by reload(), or removed and re-added while loading: go again
+            if (!this.isInitialized && !this.loadError && this.isConnected && this.getAttribute('src')) {
+                return this._startInit();
+            }
+        });
+        return this.initPromise;
+    }
+
+    async init() {
+        this._log('info', `init started (${this.isMobile ? 'mobile' : 'desktop'}, grid=${this.gridCols}x${this.gridRows})`);
+
+        // Show the poster and loading indicator immediately while we load
+        this.loadError = null;
+        this._hideError();
+        this._showPlaceholder();
 
-        // Queue initialization through the shared manager
-        // This ensures sequential init and shared renderer
         try {
+            const rendererMode = this._rendererMode();
+            if (!Pixi && rendererMode !== 'canvas') {
+                this._log('info', 'loading PixiJS');
+                try {
+                    await this.loadPixiJS();
+                    this._log('info', 'PixiJS loaded');
+                } catch (error) {
+                    // In auto mode the canvas fallback doesn't need PixiJS at all
+                    if (rendererMode === 'webgl') throw GazeLoadError.from(error);
+                    this._log('warn', `${error.message}, using canvas fallback`);
+                    // A wrong PixiJS version is a page setup mistake, so report it even though the fallback covers it
+                    if (error.kind === 'webgl') this._emitError(error);
+                }
+            }
+
+            // Queue initialization through the shared manager
+            // This ensures sequential init and shared renderer
             await GazeRendererManager.queueInit(this);
+            if (this.isInitialized) this.retryCount = 0;
         } catch (error) {
-            widgetLog('error', `init error: ${error.message}`);
-            console.error('Gaze Tracker init error:', error);
-            // Graceful degradation: just hide spinner and show static image
-            this._hideSpinnerOnly();
+            this._log('error', `init error: ${error.message}`);
+            this._handleLoadFailure(GazeLoadError.from(error));
         }
     }
 
-    // Show input.jpg as placeholder while loading
-    _showPlaceholder(src) {
-        const placeholder = this.shadowRoot.querySelector('.placeholder-img');
+    // Retry transient failures with exponential backoff, otherwise show the error state
+    _handleLoadFailure(error) {
+        this.loadError = error;
+        if (error.kind === 'network') this._reloadWhenOnline();
+
+        const retryable = error.kind === 'network' || error.kind === 'decode';
+        const willRetry = retryable && this.retryCount < this.retries && navigator.onLine !== false;
+        this._emitError(error, { willRetry });
+
+        if (willRetry) {
+            const delay = this.retryDelay * 2 ** this.retryCount;
+            this.retryCount++;
+            this._log('info', `retrying in ${delay}ms (${this.retryCount} of ${this.retries})`);
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.cleanup();
+                this._startInit();
+            }, delay);
+            return;
+        }
+
+        // Graceful degradation: keep the poster behind the error message
+        this._hideSpinnerOnly();
+        this._showError(error);
+    }
+
+    _reloadWhenOnline() {
+        if (this.onlineHandler) return;
+        this.onlineHandler = () => {
+            this._log('info', 'back online, reloading');
+            this.reload();
+        };
+        window.addEventListener('online', this.onlineHandler);
+    }
+
+    _showError(error) {
+        const overlay = this.shadowRoot.querySelector('.error-overlay');
+        if (!overlay) return;
+        overlay.querySelector('.error-message').textContent = ERROR_MESSAGES[error.kind] || ERROR_MESSAGES.unknown;
+        // Trying again won't bring WebGL back
+        overlay.querySelector('.retry-btn').hidden = error.kind === 'webgl';
+        overlay.hidden = false;
+    }
+
+    _hideError() {
+        const overlay = this.shadowRoot.querySelector('.error-overlay');
+        if (overlay) overlay.hidden = true;
+    }
+
+    // Tear down and load everything again, e.g. from a button in the error slot
+    reload() {
+        this._log('info', 'reload');
+        this.cleanup();
+        this.retryCount = 0;
+        this.loadError = null;
+        return this._startInit();
+    }
+
+    // Dispatch a CustomEvent that crosses the shadow boundary
+    // Returns false if a cancelable event was canceled
+    _emit(name, detail = {}, { cancelable = false } = {}) {
+        return this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true, cancelable }));
+    }
+
+    _emitError(error, { willRetry = false } = {}) {
+        this._emit('gaze-error', {
+            message: error.message,
+            url: error.url || null,
+            quadrant: error.quadrant || null,
+            kind: error.kind || 'unknown',
+            status: error.status || null,
+            willRetry,
+            error
+        });
+    }
+
+    // Show the poster (slotted <img slot="poster"> or the poster attribute) and
+    // the loading indicator. Without either, _showAutoPoster() fills in once q0 loads.
+    _showPlaceholder() {
         const spinner = this.shadowRoot.querySelector('.spinner-overlay');
+        const indicator = this.getAttribute('loading-indicator');
+        if (spinner && indicator !== 'none') {
+            spinner.dataset.indicator = indicator === 'slot' ? 'slot' : 'spinner';
+            spinner.classList.remove('hidden');
+            spinner.style.display = 'flex';
+        }
+        this._updatePoster();
+    }
+
+    _hasSlottedPoster() {
+        return !!this.querySelector(':scope > [slot="poster"]');
+    }
+
+    // Show the poster attribute image unless a slotted poster takes precedence
+    _updatePoster() {
+        const placeholder = this.shadowRoot.querySelector('img.placeholder-img');
         if (!placeholder) return;
 
-        // Skip placeholder if src is empty or doesn't look like a valid path
-        // This prevents 404 errors during React navigation transitions
-        if (!src || src.length < 10 || (!src.includes('session_') && !src.includes('demo'))) {
-            if (spinner) spinner.style.display = 'flex';
+        const poster = this.getAttribute('poster');
+        if (!poster || this._hasSlottedPoster()) {
+            placeholder.removeAttribute('src');
+            placeholder.style.display = 'none';
+            // A slotted image can only be framed once its size is known
+            const slotted = this.querySelector(':scope > [slot="poster"]');
+            if (slotted) slotted.addEventListener('load', () => this._applyPlaceholderFit(), { once: true });
+            this._applyPlaceholderFit();
             return;
         }
+        placeholder.onload = () => {
+            placeholder.style.display = 'block';
+            this._applyPlaceholderFit();
+            this._log('info', `Poster loaded: ${poster}`);
+        };
+        placeholder.onerror = () => {
+            placeholder.style.display = 'none';
+            this._log('warn', `Poster failed to load: ${poster}`);
+        };
+        placeholder.src = poster;
+    }
 
-        const basePath = src.endsWith('/') ? src : src + '/';
-        // Try input.jpg first (in gaze_output), then parent dir
-        const possiblePaths = [
-            `${basePath}../input.jpg`,  // One level up from gaze_output
-            `${basePath}input.jpg`,
-        ];
+    // Draw the cell nearest the grid centre from the first tile as a stand-in poster
+    _showAutoPoster(layout, texture) {
+        const canvas = this.shadowRoot.querySelector('.auto-poster');
+        if (!canvas || this.isInitialized || this.getAttribute('poster') || this._hasSlottedPoster()) return;
 
-        // Try each path
-        const tryPath = (index) => {
-            if (index >= possiblePaths.length) {
-                // No placeholder found, show spinner without image
-                if (spinner) spinner.style.display = 'flex';
-                return;
-            }
-            const img = new Image();
-            img.onload = () => {
-                placeholder.src = possiblePaths[index];
-                placeholder.style.display = 'block';
-                if (spinner) spinner.style.display = 'flex';
-                widgetLog('info', `Placeholder loaded: ${possiblePaths[index]}`);
-            };
-            img.onerror = () => tryPath(index + 1);
-            img.src = possiblePaths[index];
-        };
-        tryPath(0);
+        const cellRows = layout.gridRows / layout.tileRows;
+        const cellCols = layout.gridCols / layout.tileCols;
+        const width = layout.frameWidth || Math.round(texture.width / cellCols);
+        const height = layout.frameHeight || Math.round(texture.height / cellRows);
+        const row = Math.min(Math.floor(layout.gridRows / 2), cellRows - 1);
+        const col = Math.min(Math.floor(layout.gridCols / 2), cellCols - 1);
+        const image = this.fallbackRenderer ? texture.source : texture.source.resource;
+
+        try {
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(image, col * width, row * height, width, height, 0, 0, width, height);
+            canvas.style.display = 'block';
+            this._applyPlaceholderFit();
+        } catch (e) {
+            // Some texture resources can't be drawn to a 2D canvas; keep the spinner only
+            this._log('debug', `Auto poster unavailable: ${e.message}`);
+        }
     }
 
     // Hide spinner when canvas is ready, but keep placeholder behind as fallback
     _hidePlaceholder() {
-        const spinner = this.shadowRoot.querySelector('.spinner-overlay');
-
-        if (spinner) {
-            spinner.classList.add('hidden');
-            setTimeout(() => spinner.remove(), 300);
+        this._hideSpinner();
+
+        // Keep placeholder image behind canvas as fallback - don't remove it.
+        // The auto poster is a still of this sprite set, so it would show through
+        // transparent sprites once src or the expression changes.
+        const autoPoster = this.shadowRoot.querySelector('.auto-poster');
+        if (autoPoster) {
+            setTimeout(() => {
+                if (this.isInitialized) autoPoster.style.display = 'none';
+            }, 300);
         }
-
-        // Keep placeholder image behind canvas as fallback - don't remove it
     }
 
     // Hide spinner but keep placeholder on error (graceful degradation)
     _hideSpinnerOnly() {
+        this._hideSpinner();
+        this._log('info', 'Graceful degradation: showing static image');
+    }
+
+    // Fade the loading overlay out; kept in the DOM for reload()
+    _hideSpinner() {
         const spinner = this.shadowRoot.querySelector('.spinner-overlay');
-        if (spinner) {
-            spinner.classList.add('hidden');
-            setTimeout(() => spinner.remove(), 300);
-        }
-        widgetLog('info', 'Graceful degradation: showing static image');
+        if (!spinner) return;
+        spinner.classList.add('hidden');
+        setTimeout(() => {
+            if (spinner.classList.contains('hidden')) spinner.style.display = 'none';
+        }, 300);
     }
 
     // Internal init called by the renderer manager (sequential)
     async _doInit() {
         const container = this.shadowRoot?.querySelector('.gaze-container');
+        const generation = this.initGeneration;
+        const superseded = () => generation !== this.initGeneration;
 
         // Bail out early if element was removed from DOM during navigation
         if (!container || !this.isConnected) {
-            widgetLog('info', `init aborted - element disconnected (instance ${this.instanceId})`);
+            this._log('info', 'init aborted - element disconnected');
             return;
         }
 
         try {
-            // Get the shared renderer (creates if needed)
-            const sharedRenderer = await GazeRendererManager.getRenderer();
-            widgetLog('info', `Using shared renderer (instance ${this.instanceId})`);
-
-            // Create app with its own canvas but shared renderer resources
-            this.app = new PIXI.Application();
-            await this.app.init({
-                width: 512,
-                height: 640,
-                backgroundColor: 0x000000,
-                backgroundAlpha: 0,
-                resolution: 1,
-                autoDensity: false,
-                // Use the shared renderer's context/settings
-                preferWebGLVersion: 2,
-                failIfMajorPerformanceCaveat: false,
-                // Share WebGL context via same preference
-                sharedTicker: false  // Each widget has its own animation loop
-            });
+            const rendererMode = this._rendererMode();
+            if (rendererMode !== 'canvas' && Pixi) {
+                try {
+                    await this._createStage();
+                } catch (error) {
+                    if (rendererMode === 'webgl') throw new GazeLoadError(error.message, { kind: 'webgl', cause: error });
+                    this._log('warn', `WebGL renderer failed (${error.message}), using canvas fallback`);
+                    this.stage = null;
+                    this.surface = null;
+                }
+            } else if (rendererMode === 'webgl') {
+                throw new GazeLoadError('PixiJS is not available for the WebGL renderer', { kind: 'webgl' });
+            }
 
-            // Handle WebGL context loss gracefully
-            const canvas = this.app.canvas;
-            canvas.addEventListener('webglcontextlost', (e) => {
-                e.preventDefault();
-                widgetLog('warn', `WebGL context lost (instance ${this.instanceId})`);
-                this.contextLost = true;
-            });
-            canvas.addEventListener('webglcontextrestored', () => {
-                widgetLog('info', `WebGL context restored (instance ${this.instanceId})`);
-                this.contextLost = false;
-                const src = this.getAttribute('src') || '/';
-                this.loadSprite(src).catch(err => {
-                    widgetLog('error', `Failed to restore after context loss: ${err.message}`);
-                });
-            });
-            widgetLog('info', `PIXI app created (instance ${this.instanceId}, renderer: ${this.app.renderer.type})`);
+            if (!this.stage) {
+                this.fallbackRenderer = new GazeCanvasRenderer();
+                this._log('info', 'Canvas fallback renderer created');
+            }
 
-            // Load sprites - src is root path, default to "/" if not set
-            const src = this.getAttribute('src') || '/';
-            widgetLog('info', `loading sprites from: ${src}`);
+            // Load sprites - src (or the active expression's set) is a root path, default "/"
+            const src = this._activeSrc();
+            this._log('info', `loading sprites from: ${src}`);
             await this.loadSprite(src);
-            widgetLog('info', 'sprites loaded');
+            this._log('info', 'sprites loaded');
 
-            // Check again after async operations - element may have been removed
-            if (!this.isConnected || !container.isConnected) {
-                widgetLog('info', `init aborted after sprite load - element disconnected (instance ${this.instanceId})`);
-                this.app?.destroy(true);
+            // Check again after async operations - element may have been removed or reloaded
+            if (!this.isConnected || !container.isConnected || superseded()) {
+                this._log('info', 'init aborted after sprite load - element disconnected or reloaded');
+                this.cleanup();
                 return;
             }
 
-            container.appendChild(this.app.canvas);
+            container.appendChild(this._canvas());
 
             // Fade out placeholder image now that canvas is ready
             this._hidePlaceholder();
 
-            widgetLog('info', 'setting up tracking');
+            this._log('info', 'setting up tracking');
             this.setupMouseTracking();
             this.setupTouchTracking();
             this.setupGyroscope();
-            this.setupFullscreenButton();
-            this.setupGyroButton();
+            this._addInputListeners();
+            // The buttons outlive reload(); render() replaces them on reconnect
+            const controls = this.shadowRoot.querySelector('.controls');
+            if (this.boundControls !== controls) {
+                this.boundControls = controls;
+                this.setupFullscreenButton();
+                this.setupGyroButton();
+                this.setupResetButton();
+            }
             this.setupResizeObserver();
             this.isInitialized = true;
 
-            // Force immediate render at center position (don't wait for mouse)
-            const centerPos = Math.floor(this.gridSize / 2);
-            this.currentCol = centerPos;
-            this.currentRow = centerPos;
-            this.targetCol = centerPos;
-            this.targetRow = centerPos;
-            this.updateFrame(centerPos, centerPos);
+            // Force immediate render at center position (don't wait for mouse)
+            const { col, row } = this._fromNormalized(0, 0);
+            this.currentCol = col;
+            this.currentRow = row;
+            this.targetCol = col;
+            this.targetRow = row;
+            this.renderGaze();
+
+            // Aim at the look-at element (if any) from the centered start
+            this._attachLookAt();
+
+            // Stop work while offscreen, hidden or paused
+            this.setupPowerSaving();
+
+            this._log('info', 'init complete');
+            this._emit('gaze-ready', {
+                gridRows: this.gridRows,
+                gridCols: this.gridCols,
+                frameWidth: this.imageWidth,
+                frameHeight: this.imageHeight,
+                renderer: this.fallbackRenderer ? 'canvas' : 'webgl'
+            });
+
+            // Expressions declared in the manifest are only known once it has loaded
+            this._syncExpression();
+            this._preloadExpressions();
+
+            // <gaze-set> children added later are picked up and preloaded too
+            this.setObserver = new MutationObserver(() => {
+                this._syncExpression();
+                this._preloadExpressions();
+            });
+            this.setObserver.observe(this, { childList: true });
+
+        } catch (error) {
+            // reload() or disconnect tore things down underneath us; not a real failure
+            if (superseded()) {
+                this._log('info', `init aborted - superseded (${error.message})`);
+                this.cleanup();
+                return;
+            }
+            this._log('error', `_doInit error: ${error.message}`);
+            // Re-throw so the queue manager knows this widget failed (init() shows the error)
+            throw error;
+        }
+    }
+
+    // "auto" (WebGL with canvas fallback), "webgl" or "canvas"
+    _rendererMode() {
+        const mode = this.getAttribute('renderer');
+        return mode === 'webgl' || mode === 'canvas' ? mode : 'auto';
+    }
+
+    async _createStage() {
+        // Get the shared renderer (creates if needed)
+        await GazeRendererManager.getRenderer();
+        this._log('info', 'Using shared renderer');
+
+        // This widget's scene, and the canvas the shared renderer's output lands in
+        this.stage = new Pixi.Container();
+        this.surface = new GazeCanvasRenderer();
+    }
+
+    // Rebuild sprites after the shared WebGL context is restored
+    _restoreSprites() {
+        this.loadSprite(this._activeSrc()).catch(err => {
+            this._log('error', `Failed to restore after context loss: ${err.message}`);
+            this._emitError(err);
+        });
+    }
+
+    // Active renderer (WebGL surface or canvas fallback) and its canvas
+    _renderer() {
+        return this.surface || this.fallbackRenderer;
+    }
+
+    _canvas() {
+        return this._renderer()?.canvas;
+    }
+
+    async loadPixiJS() {
+        return loadPixi(this.getAttribute('pixi-src') || GazeConfig.pixiSrc);
+    }
+
+    // Load image via Image element (works with file:// protocol)
+    loadImageElement(url) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            // Don't set crossOrigin for file:// protocol - it causes CORS errors
+            if (!isOffline) {
+                img.crossOrigin = 'anonymous';
+            }
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Failed to load image: ${url}`));
+            img.src = url;
+        });
+    }
+
+    // Load a single texture with explicit verification, shared through the texture cache.
+    // Every texture returned must eventually be passed to releaseTextures().
+    async loadSingleTexture(url, quadrantName) {
+        const kind = this.fallbackRenderer ? 'canvas' : 'webgl';
+        try {
+            return await GazeTextureCache.acquire(url, kind, () => this._loadSingleTexture(url, quadrantName));
+        } catch (error) {
+            // Tag the error so gaze-error can report which quadrant failed, and why
+            if (error instanceof GazeLoadError) throw error;
+            const { kind, status } = await probeLoadFailure(url);
+            throw new GazeLoadError(error.message, { kind, url, quadrant: quadrantName, status, cause: error });
+        }
+    }
+
+    async _loadSingleTexture(url, quadrantName) {
+        this._log('info', `Loading ${quadrantName}: ${url}`);
+
+        // Canvas fallback draws straight from the image element
+        if (this.fallbackRenderer) {
+            const img = await this.loadImageElement(url);
+            if (img.naturalWidth === 0 || img.naturalHeight === 0) {
+                throw new GazeLoadError(`Invalid image dimensions for ${quadrantName}: ${url}`, { kind: 'decode', url, quadrant: quadrantName });
+            }
+            this._log('info', `${quadrantName} loaded: ${img.naturalWidth}x${img.naturalHeight}`);
+            return { source: img, width: img.naturalWidth, height: img.naturalHeight };
+        }
+
+        let texture;
+        // Use image element approach for offline mode OR CDN URLs (which don't have file extensions)
+        const isCdnUrl = url.includes('imagedelivery.net') || !url.match(/\.(webp|png|jpg|jpeg)$/i);
+        if (isOffline || isCdnUrl) {
+            const img = await this.loadImageElement(url);
+            texture = Pixi.Texture.from(img);
+        } else {
+            // Load individually to ensure no cache confusion
+            texture = await Pixi.Assets.load(url);
+        }
+
+        // Verify texture loaded
+        if (!texture) {
+            throw new Error(`Failed to load texture for ${quadrantName}: ${url}`);
+        }
+
+        // Wait for texture to be fully ready (only if source exists and needs loading)
+        if (texture.source && !texture.source.resource) {
+            await new Promise(resolve => {
+                if (texture.source.resource) {
+                    resolve();
+                } else {
+                    texture.source.once('loaded', resolve);
+                    texture.source.once('error', resolve);
+                }
+            });
+        }
+
+        // Verify texture is valid
+        if (texture.width === 0 || texture.height === 0) {
+            throw new GazeLoadError(`Invalid texture dimensions for ${quadrantName}: ${url}`, { kind: 'decode', url, quadrant: quadrantName });
+        }
+
+        this._log('info', `${quadrantName} loaded: ${texture.width}x${texture.height}`);
+        return texture;
+    }
+
+    // Fetch a sprite manifest
+    async fetchManifest(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (e) {
+            throw new GazeLoadError(`Failed to fetch sprite manifest: ${url}`, { kind: 'network', url, cause: e });
+        }
+        if (!response.ok) {
+            const kind = response.status === 404 || response.status === 410 ? 'not-found' : 'network';
+            throw new GazeLoadError(`Failed to fetch sprite manifest: ${url} (${response.status})`, { kind, url, status: response.status });
+        }
+        try {
+            return await response.json();
+        } catch (e) {
+            throw new GazeLoadError(`Invalid sprite manifest: ${url}`, { kind: 'decode', url, cause: e });
+        }
+    }
+
+    // Look for an optional manifest; a missing one resolves to null. SPA hosts
+    // answer missing paths with 200 text/html, so one that isn't JSON isn't there either.
+    _probeManifest(url) {
+        const key = new URL(url, document.baseURI).href;
+        let probe = manifestProbes.get(key);
+        if (!probe) {
+            probe = this.fetchManifest(url).catch(error => {
+                // A network failure says nothing about the manifest, so ask again next time
+                if (error.kind === 'network') manifestProbes.delete(key);
+                return null;
+            });
+            manifestProbes.set(key, probe);
+        }
+        return probe;
+    }
+
+    // Work out which sprite layouts to try, in order of preference, plus an
+    // optional low-resolution preview layout for progressive loading
+    async resolveSpriteLayouts(rootPath) {
+        const gridSize = this.isMobile ? 20 : 30;
+
+        // CDN mode: comma-separated full URLs like "url1,url2,url3,url4"
+        const hasComma = rootPath.includes(',');
+        this._log('debug', `rootPath comma check: hasComma=${hasComma}, length=${rootPath.length}`);
+        if (hasComma) {
+            const urls = rootPath.split(',').map(u => u.trim());
+            if (urls.length !== 4) {
+                throw new Error(`Expected 4 comma-separated URLs, got ${urls.length}`);
+            }
+            this._log('info', 'Loading from CDN URLs (comma-separated)');
+            return { layouts: [{ ...conventionLayout('', gridSize, ''), urls }], preview: null };
+        }
+
+        const basePath = rootPath.endsWith('/') ? rootPath : rootPath + '/';
+
+        // Explicit manifest attribute (it describes the src set only), otherwise look
+        // for manifest.json next to the sprites (not on file:// where fetch is unavailable)
+        const manifestAttr = rootPath === this._defaultSrc() ? this.getAttribute('manifest') : null;
+        const manifestUrl = manifestAttr || `${basePath}manifest.json`;
+        const manifest = manifestAttr
+            ? await this.fetchManifest(manifestUrl)
+            : (isOffline ? null : await this._probeManifest(manifestUrl));
+
+        if (manifest) {
+            this._log('info', `Using sprite manifest: ${manifestUrl}`);
+            if (rootPath === this._defaultSrc()) {
+                this.manifestExpressions = manifestExpressions(manifest, manifestUrl);
+            }
+            const layouts = [];
+            if (this.isMobile && manifest.mobile) {
+                layouts.push(manifestLayout(manifest, manifestUrl, 'mobile'));
+            }
+            layouts.push(manifestLayout(manifest, manifestUrl));
+            const preview = manifest.preview ? manifestLayout(manifest, manifestUrl, 'preview') : null;
+            return { layouts, preview };
+        }
+
+        // Traditional mode: build quadrant URLs from base path
+        // Desktop: q0.webp, q1.webp, q2.webp, q3.webp (15x15 each = 30x30 grid)
+        // Mobile: q0_20.webp, q1_20.webp, q2_20.webp, q3_20.webp (10x10 each = 20x20 grid)
+        // If mobile sprites fail, fall back to desktop. On desktop the mobile set
+        // doubles as the progressive-loading preview.
+        const layouts = [];
+        if (this.isMobile) {
+            layouts.push(conventionLayout(basePath, 20, '_20'));
+        }
+        layouts.push(conventionLayout(basePath, 30, ''));
+        const preview = this.isMobile ? null : conventionLayout(basePath, 20, '_20');
+        return { layouts, preview };
+    }
+
+    // Load every tile of a layout and verify the textures against it
+    //   stage    - Reported in gaze-load-progress ("preview" or "full")
+    //   parallel - Fetch all tiles at once instead of one after another
+    async loadLayoutTextures(layout, { stage = 'full', parallel = false } = {}) {
+        const total = layout.urls.length;
+        let loaded = 0;
+
+        const loadTile = async (url, i) => {
+            const qName = `q${i}`;
+            const texture = await this.loadSingleTexture(url, qName);
+            if (i === 0 && stage !== 'preload') this._showAutoPoster(layout, texture);
+            loaded++;
+            this._emit('gaze-load-progress', { quadrant: qName, url, loaded, total, stage });
+            return texture;
+        };
+
+        const textures = [];
+        try {
+            if (parallel) {
+                const results = await Promise.allSettled(layout.urls.map(loadTile));
+                results.forEach((result, i) => {
+                    if (result.status === 'fulfilled') textures[i] = result.value;
+                });
+                const failed = results.find(result => result.status === 'rejected');
+                if (failed) throw failed.reason;
+            } else {
+                // Load each tile INDIVIDUALLY and SEQUENTIALLY to prevent any race conditions
+                // This is slower but guarantees correct texture assignment
+                for (let i = 0; i < total; i++) {
+                    textures[i] = await loadTile(layout.urls[i], i);
+                }
+            }
+            this.verifyLayoutTextures(layout, textures);
+        } catch (error) {
+            // Hand back whatever did load
+            this.releaseTextures(textures);
+            throw error;
+        }
+
+        this._log('info', `All ${total} tiles verified: ${textures[0].width}x${textures[0].height} each`);
+        return textures;
+    }
+
+    releaseTextures(textures) {
+        textures.forEach(texture => texture && GazeTextureCache.release(texture));
+    }
+
+    verifyLayoutTextures(layout, textures) {
+        // VERIFY: All textures must exist and be valid
+        textures.forEach((tex, i) => {
+            if (!tex) {
+                throw new GazeLoadError(`Missing texture for q${i}`, { kind: 'decode', quadrant: `q${i}` });
+            }
+            if (!tex.source || tex.width === 0 || tex.height === 0) {
+                throw new GazeLoadError(`Invalid texture for q${i}: ${tex.width}x${tex.height}`, { kind: 'decode', quadrant: `q${i}` });
+            }
+        });
+
+        // VERIFY: All tile textures should have the same dimensions
+        const q0Width = textures[0].width;
+        const q0Height = textures[0].height;
+        textures.forEach((tex, i) => {
+            if (tex.width !== q0Width || tex.height !== q0Height) {
+                this._log('error', `Dimension mismatch: q${i} is ${tex.width}x${tex.height}, expected ${q0Width}x${q0Height}`);
+                throw new GazeLoadError(`Quadrant dimension mismatch for q${i}`, { kind: 'invalid', quadrant: `q${i}` });
+            }
+        });
+
+        // VERIFY: Declared frame size must fit inside each tile (extra space is padding)
+        const cellRows = layout.gridRows / layout.tileRows;
+        const cellCols = layout.gridCols / layout.tileCols;
+        if (layout.frameWidth) {
+            const neededWidth = layout.frameWidth * cellCols;
+            const neededHeight = layout.frameHeight * cellRows;
+            if (q0Width < neededWidth || q0Height < neededHeight) {
+                throw new GazeLoadError(`Sprite tiles are ${q0Width}x${q0Height} but manifest needs at least ${neededWidth}x${neededHeight}`, { kind: 'invalid' });
+            }
+        }
+
+        // VERIFY: All tile textures should have DIFFERENT sources (not duplicates)
+        const sourceIds = new Set();
+        textures.forEach((tex, i) => {
+            const sourceId = tex.source.uid || tex.source._resourceId || tex.source.label;
+            if (sourceId && sourceIds.has(sourceId)) {
+                this._log('error', `Duplicate texture source detected for q${i}`);
+                // Don't throw - sources might legitimately share in some PIXI versions
+                // But log it for debugging
+            }
+            if (sourceId) sourceIds.add(sourceId);
+        });
+    }
+
+    // Try each candidate layout until one loads completely
+    async loadFirstLayout(layouts, options) {
+        for (let i = 0; i < layouts.length; i++) {
+            try {
+                const textures = await this.loadLayoutTextures(layouts[i], options);
+                return { layout: layouts[i], textures };
+            } catch (e) {
+                if (i === layouts.length - 1) throw e;
+                this._log('info', `Mobile sprites not available (${e.message}), trying desktop fallback`);
+            }
+        }
+    }
+
+    async loadSprite(rootPath) {
+        if (!this._renderer()) return;
+
+        // Newer loads win over older ones that are still in flight
+        const loadToken = ++this.loadToken;
+        this.spriteSrc = rootPath;
+
+        try {
+            const { layouts, preview } = await this.resolveSpriteLayouts(rootPath);
+
+            // Progressive: start tracking with the small preview set, then
+            // upgrade to full resolution in the background
+            if (this.hasAttribute('progressive') && preview) {
+                try {
+                    const textures = await this.loadLayoutTextures(preview, { stage: 'preview' });
+                    if (loadToken !== this.loadToken) {
+                        this.releaseTextures(textures);
+                        return;
+                    }
+                    this.applySpriteSet(preview, textures);
+                    this.upgradeSprites(layouts, loadToken);
+                    return;
+                } catch (e) {
+                    this._log('info', `Preview sprites not available (${e.message}), loading full set`);
+                }
+            }
+
+            const { layout, textures } = await this.loadFirstLayout(layouts);
+            if (loadToken !== this.loadToken) {
+                this.releaseTextures(textures);
+                return;
+            }
+            this.applySpriteSet(layout, textures);
+
+        } catch (error) {
+            this._log('error', `Failed to load sprites: ${error.message}`);
+            throw error;  // Re-throw to show error in UI
+        }
+    }
+
+    // Fetch the full-resolution set in parallel and swap it in once complete
+    async upgradeSprites(layouts, loadToken) {
+        try {
+            const { layout, textures } = await this.loadFirstLayout(layouts, { parallel: true });
+            if (loadToken !== this.loadToken || !this._renderer()) {
+                this.releaseTextures(textures);
+                return;
+            }
+            this.applySpriteSet(layout, textures);
+            this._log('info', 'Upgraded to full-resolution sprites');
+        } catch (error) {
+            // The preview keeps working, so this isn't fatal
+            this._log('warn', `Full-resolution sprites failed, keeping preview: ${error.message}`);
+            this._emitError(error);
+        }
+    }
+
+    // Put a loaded sprite set on screen, keeping the current gaze direction
+    //   transition - Crossfade length in ms (default: transition-duration)
+    applySpriteSet(layout, textures, { transition } = {}) {
+        const renderer = this._renderer();
+        if (!renderer) {
+            this.releaseTextures(textures);
+            throw new Error('App destroyed during sprite loading');
+        }
+
+        // A swap arriving mid-fade replaces the set that was fading in
+        this._finishTransition();
+
+        // What's on screen now, kept until the new set has faded in
+        const previous = {
+            layer: this.spriteLayer,
+            cells: this.textureCache,
+            textures: this.tileTextures,
+            frames: this.lastFallbackFrames && {
+                frames: this.lastFallbackFrames,
+                sw: this.imageWidth,
+                sh: this.imageHeight,
+                dest: this.frameRect
+            }
+        };
+
+        // Remember the gaze in grid-independent terms (the new set may use another grid)
+        const current = this._toNormalized(this.currentCol, this.currentRow);
+        const target = this._toNormalized(this.targetCol, this.targetRow);
+
+        this.tileTextures = textures;
+        this.textureCache = {};
+        this.spriteLayout = {
+            ...layout,
+            cellRows: layout.gridRows / layout.tileRows,
+            cellCols: layout.gridCols / layout.tileCols
+        };
+        this.gridRows = layout.gridRows;
+        this.gridCols = layout.gridCols;
+
+        ({ col: this.currentCol, row: this.currentRow } = this._fromNormalized(current.x, current.y));
+        ({ col: this.targetCol, row: this.targetRow } = this._fromNormalized(target.x, target.y));
+
+        if (layout.frameWidth) {
+            // Frame size declared by the manifest
+            this.imageWidth = layout.frameWidth;
+            this.imageHeight = layout.frameHeight;
+        } else {
+            // Infer frame dimensions from sprite size
+            // Each tile contains cellCols x cellRows frames
+            this.imageWidth = Math.round(textures[0].width / this.spriteLayout.cellCols);
+            this.imageHeight = Math.round(textures[0].height / this.spriteLayout.cellRows);
+
+            // Cap frame dimensions at 1000px (WebP practical limit for smooth animation)
+            const MAX_FRAME_SIZE = 1000;
+            if (this.imageWidth > MAX_FRAME_SIZE || this.imageHeight > MAX_FRAME_SIZE) {
+                const scale = MAX_FRAME_SIZE / Math.max(this.imageWidth, this.imageHeight);
+                this.imageWidth = Math.round(this.imageWidth * scale);
+                this.imageHeight = Math.round(this.imageHeight * scale);
+                this._log('info', `Capped frame size to ${this.imageWidth}x${this.imageHeight}`);
+            }
+        }
+
+        // Size the renderer to the frame until the ResizeObserver takes over;
+        // once running, keep the container size so swaps don't jump
+        if (!this.isInitialized) {
+            renderer.resize(this.imageWidth, this.imageHeight);
+        }
+        this._log('info', `Frame size: ${this.imageWidth}x${this.imageHeight}, grid: ${this.gridCols}x${this.gridRows}`);
+
+        if (this.fallbackRenderer) {
+            // Canvas fallback: draw the current frame and run our own loop
+            this._resizeCanvas();
+            this._startTransition(previous, transition);
+            this.renderGaze(true);
+            this.requestFrame();
+            return;
+        }
+
+        // Create sprite with initial texture BEFORE adding to stage
+        // This prevents PIXI from rendering a default/empty texture
+        const initialTexture = this.getTextureForCell(Math.floor(this.gridRows / 2), Math.floor(this.gridCols / 2));
+
+        this.sprite = new Pixi.Sprite(initialTexture);
+        this.sprite.anchor.set(0, 0);
+
+        // Up to three more cells are layered on top when blending
+        this.spriteLayer = new Pixi.Container();
+        this.spriteLayer.addChild(this.sprite);
+        this.blendSprites = [0, 1, 2].map(() => {
+            const layer = new Pixi.Sprite(initialTexture);
+            layer.visible = false;
+            this.spriteLayer.addChild(layer);
+            return layer;
+        });
+
+        // Scale sprite to fill canvas (the resolution cap depends on the frame size)
+        this._resizeCanvas();
+
+        // Now add to stage with proper texture already set, on top of the old set
+        this.stage.addChild(this.spriteLayer);
+        this._startTransition(previous, transition);
+        this.renderGaze(true);
+        GazeRendererManager.present(this);
+
+        // Start animation loop
+        this.requestFrame();
+    }
+
+    // Scale of the frame in a canvas of the given CSS size, like object-fit (contain
+    // keeps all of it visible, cover fills the canvas and crops, fill stretches,
+    // none keeps 1:1)
+    _fitScale(canvasWidth, canvasHeight) {
+        const { fit } = this.frameFit;
+        let scaleX = canvasWidth / this.imageWidth;
+        let scaleY = canvasHeight / this.imageHeight;
+        if (fit === 'contain' || fit === 'cover') {
+            scaleX = scaleY = fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+        } else if (fit === 'none') {
+            scaleX = scaleY = 1;
+        }
+        return { scaleX, scaleY };
+    }
+
+    // Canvas pixels per CSS pixel: the device pixel ratio, capped by max-resolution
+    // and by max-upscale (past the frames' own resolution extra pixels add nothing)
+    _resolution(cssWidth, cssHeight) {
+        let resolution = Math.min(window.devicePixelRatio || 1, this.maxResolution);
+        if (this.imageWidth) {
+            const { scaleX, scaleY } = this._fitScale(cssWidth, cssHeight);
+            resolution = Math.min(resolution, this.maxUpscale / Math.max(scaleX, scaleY));
+        }
+        return Math.max(0.25, resolution);
+    }
+
+    // Size the canvas for the widget's CSS size and pixel density, then redraw
+    _resizeCanvas() {
+        const renderer = this._renderer();
+        const canvas = this._canvas();
+        if (!renderer || !canvas) return;
+
+        // Until the ResizeObserver reports, the canvas keeps the frame size
+        if (this.cssSize) {
+            const { width, height } = this.cssSize;
+            this.resolution = this._resolution(width, height);
+            const pixelWidth = Math.max(1, Math.floor(width * this.resolution));
+            const pixelHeight = Math.max(1, Math.floor(height * this.resolution));
+            if (renderer.width !== pixelWidth || renderer.height !== pixelHeight) {
+                renderer.resize(pixelWidth, pixelHeight);
+            }
+
+            // Update canvas display size (CSS) - let it fill container
+            canvas.style.width = '100%';
+            canvas.style.height = '100%';
+        }
+
+        // Scale sprite to fill the canvas
+        this.updateSpriteScale();
+
+        // Resizing clears a 2D canvas, so redraw the current cell
+        if (this.frameRow !== null) {
+            this.renderGaze(true);
+            GazeRendererManager.present(this);
+        }
+    }
+
+    // Re-size the canvas when devicePixelRatio changes (e.g. moving to another monitor)
+    _watchPixelRatio() {
+        this._unwatchPixelRatio();
+        if (!window.matchMedia) return;
+        this.pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this.pixelRatioHandler = () => {
+            this._watchPixelRatio();
+            this._resizeCanvas();
+        };
+        if (this.pixelRatioQuery.addEventListener) {
+            this.pixelRatioQuery.addEventListener('change', this.pixelRatioHandler);
+        }
+    }
+
+    _unwatchPixelRatio() {
+        if (this.pixelRatioQuery && this.pixelRatioQuery.removeEventListener) {
+            this.pixelRatioQuery.removeEventListener('change', this.pixelRatioHandler);
+        }
+        this.pixelRatioQuery = null;
+    }
+
+    updateSpriteScale() {
+        const renderer = this._renderer();
+        if (!renderer || !this.imageWidth) return;
+
+        // Lay out in CSS pixels, then scale to canvas pixels
+        const resolution = this.resolution;
+        const canvasWidth = renderer.width / resolution;
+        const canvasHeight = renderer.height / resolution;
+        const { scaleX, scaleY } = this._fitScale(canvasWidth, canvasHeight);
+        const { position, focalPoint } = this.frameFit;
+
+        // Place it by position, or around the focal point
+        const width = this.imageWidth * scaleX;
+        const height = this.imageHeight * scaleY;
+        this.frameRect = {
+            x: alignFrame(canvasWidth, width, scaleX, position.x, focalPoint && focalPoint.x) * resolution,
+            y: alignFrame(canvasHeight, height, scaleY, position.y, focalPoint && focalPoint.y) * resolution,
+            width: width * resolution,
+            height: height * resolution
+        };
+
+        if (this.spriteLayer) {
+            this.spriteLayer.scale.set(scaleX * resolution, scaleY * resolution);
+            this.spriteLayer.x = this.frameRect.x;
+            this.spriteLayer.y = this.frameRect.y;
+            this.needsRender = true;
+        }
+    }
+
+    // Locate a grid cell: which tile holds it and where inside that tile
+    getCellLocation(row, col) {
+        const layout = this.spriteLayout;
+        if (!layout) return null;
+
+        // Determine which tile and local position (tiles are row-major)
+        const tileRow = Math.floor(row / layout.cellRows);
+        const tileCol = Math.floor(col / layout.cellCols);
+        const tile = this.tileTextures[tileRow * layout.tileCols + tileCol];
+        if (!tile) return null;
+
+        const localRow = row - tileRow * layout.cellRows;
+        const localCol = col - tileCol * layout.cellCols;
+        return { tile, x: localCol * this.imageWidth, y: localRow * this.imageHeight };
+    }
+
+    // Cell textures are per widget views onto the shared tile sources
+    destroyCellTextures(cells) {
+        Object.values(cells).forEach(texture => texture.destroy(false));
+    }
+
+    getTextureForCell(row, col) {
+        const cell = this.getCellLocation(row, col);
+        if (!cell) return null;
+
+        // Cache textures for performance
+        const key = `${row}_${col}`;
+        if (!this.textureCache[key]) {
+            const frame = new Pixi.Rectangle(cell.x, cell.y, this.imageWidth, this.imageHeight);
+            this.textureCache[key] = new Pixi.Texture({ source: cell.tile.source, frame });
+        }
+        return this.textureCache[key];
+    }
+
+    // force redraws even if the cell is unchanged
+    updateFrame(row, col, force = false) {
+        // Only redraw when the cell changes
+        const changed = row !== this.frameRow || col !== this.frameCol || this.blendKey !== null;
+        if (!changed && !force) return;
+
+        if (this.fallbackRenderer) {
+            const cell = this.getCellLocation(row, col);
+            if (!cell || !this.frameRect) return;
+            this._drawFallbackFrames([{ image: cell.tile.source, x: cell.x, y: cell.y, alpha: 1 }]);
+        } else {
+            if (!this.sprite) return;
+            const texture = this.getTextureForCell(row, col);
+            if (!texture) return;
+            this.sprite.texture = texture;
+            this.sprite.alpha = 1;
+            for (const layer of this.blendSprites) layer.visible = false;
+            this.needsRender = true;
+        }
+
+        this.blendKey = null;
+        this._setDisplayedCell(row, col);
+    }
+
+    // Crossfade the (up to) four cells around a fractional grid position,
+    // weighted bilinearly by how close the position is to each of them
+    updateBlendFrame(rowF, colF, force = false) {
+        const row0 = Math.floor(rowF);
+        const col0 = Math.floor(colF);
+        const row1 = Math.min(row0 + 1, this.gridRows - 1);
+        const col1 = Math.min(col0 + 1, this.gridCols - 1);
+        const fy = rowF - row0;
+        const fx = colF - col0;
+
+        const cells = [
+            { row: row0, col: col0, weight: (1 - fx) * (1 - fy) },
+            { row: row0, col: col1, weight: fx * (1 - fy) },
+            { row: row1, col: col0, weight: (1 - fx) * fy },
+            { row: row1, col: col1, weight: fx * fy }
+        ].filter(cell => cell.weight > 0.002);
+
+        // Stacked "over" compositing: giving layer k an alpha of
+        // weight_k / (sum of weights up to k) yields the weighted average
+        let cumulative = 0;
+        for (const cell of cells) {
+            cumulative += cell.weight;
+            cell.alpha = cell.weight / cumulative;
+        }
+
+        // Only redraw when the position moved by a visible amount
+        const key = `${Math.round(rowF * 32)}_${Math.round(colF * 32)}`;
+        if (key === this.blendKey && !force) return;
+
+        if (this.fallbackRenderer) {
+            if (!this.frameRect) return;
+            const frames = [];
+            for (const cell of cells) {
+                const location = this.getCellLocation(cell.row, cell.col);
+                if (!location) return;
+                frames.push({ image: location.tile.source, x: location.x, y: location.y, alpha: cell.alpha });
+            }
+            this._drawFallbackFrames(frames);
+        } else {
+            if (!this.sprite) return;
+            const sprites = [this.sprite, ...this.blendSprites];
+            for (let i = 0; i < sprites.length; i++) {
+                const cell = cells[i];
+                const texture = cell && this.getTextureForCell(cell.row, cell.col);
+                sprites[i].visible = !!texture;
+                if (texture) {
+                    sprites[i].texture = texture;
+                    sprites[i].alpha = cell.alpha;
+                }
+            }
+            this.needsRender = true;
+        }
+
+        this.blendKey = key;
+        this._setDisplayedCell(Math.round(rowF), Math.round(colF));
+    }
+
+    // Canvas fallback draw, over the previous sprite set while a swap fades in
+    _drawFallbackFrames(frames) {
+        const renderer = this.fallbackRenderer;
+        const previous = this.transition && this.transition.previous.frames;
+        if (previous) {
+            renderer.drawFrames(previous.frames, previous.sw, previous.sh, previous.dest);
+            renderer.drawFrames(frames, this.imageWidth, this.imageHeight, this.frameRect,
+                { clear: false, alpha: this.transition.progress });
+        } else {
+            renderer.drawFrames(frames, this.imageWidth, this.imageHeight, this.frameRect);
+        }
+        this.lastFallbackFrames = frames;
+    }
+
+    // Show the frame(s) for the current gaze position
+    renderGaze(force = false) {
+        const colF = Math.max(0, Math.min(this.gridCols - 1, this.currentCol));
+        const rowF = Math.max(0, Math.min(this.gridRows - 1, this.currentRow));
+
+        if (this.interpolation === 'blend') {
+            this.updateBlendFrame(rowF, colF, force);
+        } else {
+            this.updateFrame(Math.round(rowF), Math.round(colF), force);
+        }
+    }
+
+    // Track the nearest displayed cell and announce changes
+    _setDisplayedCell(row, col) {
+        if (row !== this.frameRow || col !== this.frameCol) {
+            this.frameRow = row;
+            this.frameCol = col;
+            this._emit('gaze-frame', { row, col });
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Sprite set transitions
+    // ------------------------------------------------------------------------
+
+    // Fade the newly applied sprite set in over the previous one. The old set is
+    // disposed straight away on first load, when paused or with reduced motion.
+    _startTransition(previous, duration = this.transitionDuration) {
+        const hasPrevious = previous.layer || previous.frames;
+        if (!hasPrevious || !this.isInitialized || !this.isRunning ||
+            !(duration > 0) || this._reducedMotionMode() !== 'ignore') {
+            this._disposeSpriteSet(previous);
+            return;
+        }
+
+        this.transition = { previous, start: performance.now(), duration, progress: 0 };
+        if (this.spriteLayer) this.spriteLayer.alpha = 0;
+        this.requestFrame();
+    }
+
+    _updateTransition(now) {
+        const transition = this.transition;
+        transition.progress = Math.min(1, (now - transition.start) / transition.duration);
+        if (transition.progress >= 1) {
+            this._finishTransition();
+            return;
+        }
+        if (this.spriteLayer) {
+            this.spriteLayer.alpha = transition.progress;
+            this.needsRender = true;
+        } else {
+            this.renderGaze(true);
+        }
+    }
+
+    // Jump to the end of a running crossfade and free the old set
+    _finishTransition() {
+        if (!this.transition) return;
+        const { previous } = this.transition;
+        this.transition = null;
+        this._disposeSpriteSet(previous);
+
+        if (this.spriteLayer) {
+            this.spriteLayer.alpha = 1;
+            this.needsRender = true;
+            // Paused widgets get no more frames, so show the final state now
+            if (!this.isRunning) GazeRendererManager.present(this);
+        } else if (this.fallbackRenderer && this.frameRect) {
+            this.renderGaze(true);
+        }
+    }
+
+    _disposeSpriteSet({ layer, cells, textures }) {
+        if (layer) {
+            if (this.stage) this.stage.removeChild(layer);
+            layer.destroy({ children: true });
+        }
+        this.destroyCellTextures(cells);
+        this.releaseTextures(textures);
+    }
+
+    // ------------------------------------------------------------------------
+    // Expressions
+    // ------------------------------------------------------------------------
+
+    // Switch to a named sprite set (null for the src set), keeping the gaze.
+    //   transition - Crossfade length in ms (default: transition-duration)
+    async setExpression(name, { transition } = {}) {
+        name = name || null;
+        const src = name ? this._expressionSets().get(name) : this._defaultSrc();
+        if (!src) {
+            throw new Error(`Unknown expression "${name}"`);
+        }
+        // Already showing (and not switching away)
+        if (name === this.expression && src === this.spriteSrc) return;
+
+        const previousExpression = this.expression;
+        if (!this.isInitialized) {
+            this.expression = name;
+            return;
+        }
+
+        // Only take the new name once its set is on screen, so a failed load can be retried
+        if (await this._showSet(src, { transition })) {
+            this.expression = name;
+            this._log('info', `Expression: ${name || '(default)'}`);
+            this._emit('gaze-expression-change', { expression: name, previous: previousExpression });
+        }
+    }
+
+    // src or manifest changed: drop the old sets, show the active one and preload the rest
+    _reloadSpriteSets() {
+        this._releasePreloadedSets();
+        this.manifestExpressions = new Map();
+        this.loadSprite(this._activeSrc())
+            .then(() => {
+                // The new manifest may declare the active expression too
+                this._syncExpression();
+                this._preloadExpressions();
+            })
+            .catch(err => this._emitError(err));
+    }
+
+    // Put a (preloaded) sprite set on screen. Returns false if superseded.
+    async _showSet(src, { transition } = {}) {
+        const loadToken = ++this.loadToken;
+        const previousSrc = this.spriteSrc;
+        this.spriteSrc = src;
+        let set;
+        try {
+            set = await this._preloadSet(src);
+        } catch (error) {
+            // Superseded loads (including sets released by a src change) fail quietly
+            if (loadToken !== this.loadToken) return false;
+            this.spriteSrc = previousSrc;
+            throw error;
+        }
+        if (loadToken !== this.loadToken || !this._renderer()) return false;
+
+        // The preloaded set keeps its own references for switching back
+        set.textures.forEach(texture => GazeTextureCache.retain(texture));
+        this.applySpriteSet(set.layout, set.textures, { transition });
+        return true;
+    }
+
+    // Show the active expression's set if it was declared after loading started
+    _syncExpression() {
+        const src = this._activeSrc();
+        if (src !== this.spriteSrc) {
+            this._showSet(src, { transition: 0 }).catch(err => this._emitError(err));
+        }
+    }
+
+    _defaultSrc() {
+        return this.getAttribute('src') || '/';
+    }
+
+    // Expression name -> sprite root, from the manifest and <gaze-set> children
+    _expressionSets() {
+        const sets = new Map(this.manifestExpressions);
+        this.querySelectorAll(':scope > gaze-set[name][src]').forEach(el => {
+            sets.set(el.getAttribute('name'), el.getAttribute('src'));
+        });
+        return sets;
+    }
+
+    // Sprite root of the active expression, falling back to src
+    _activeSrc() {
+        return (this.expression && this._expressionSets().get(this.expression)) || this._defaultSrc();
+    }
+
+    // Load (once) and hold the full-resolution set for a sprite root
+    _preloadSet(src) {
+        let set = this.preloadedSets.get(src);
+        if (!set) {
+            set = { layout: null, textures: null };
+            set.promise = this.resolveSpriteLayouts(src)
+                .then(({ layouts }) => this.loadFirstLayout(layouts, { stage: 'preload' }))
+                .then(({ layout, textures }) => {
+                    if (this.preloadedSets.get(src) !== set) {
+                        this.releaseTextures(textures);
+                        throw new Error('Sprite set was released while loading');
+                    }
+                    set.layout = layout;
+                    set.textures = textures;
+                    return set;
+                }, error => {
+                    if (this.preloadedSets.get(src) === set) this.preloadedSets.delete(src);
+                    throw error;
+                });
+            this.preloadedSets.set(src, set);
+        }
+        return set.promise;
+    }
+
+    // Load every expression set in the background so switching is instant
+    async _preloadExpressions() {
+        const sets = this._expressionSets();
+        if (sets.size === 0) return;
+
+        // Stop once the sets are released (src change, reload, disconnect)
+        const generation = this.preloadGeneration;
+        for (const src of [this._defaultSrc(), ...sets.values()]) {
+            if (!this.isConnected || generation !== this.preloadGeneration) return;
+            try {
+                await this._preloadSet(src);
+            } catch (error) {
+                if (generation !== this.preloadGeneration) return;
+                this._log('warn', `Failed to preload sprites from ${src}: ${error.message}`);
+                this._emitError(error);
+            }
+        }
+    }
+
+    _releasePreloadedSets() {
+        this.preloadGeneration++;
+        this.preloadedSets.forEach(set => set.textures && this.releaseTextures(set.textures));
+        this.preloadedSets.clear();
+    }
+
+    // ------------------------------------------------------------------------
+    // Public gaze API
+    // ------------------------------------------------------------------------
 
-            widgetLog('info', `init complete (instance ${this.instanceId})`);
+    // Look towards a point given in viewport (client) coordinates
+    lookAt(clientX, clientY) {
+        const { x, y } = this._normalizePoint(clientX, clientY);
+        this.setGaze(x, y);
+    }
 
-        } catch (error) {
-            widgetLog('error', `_doInit error: ${error.message}`);
-            console.error('Gaze Tracker init error:', error);
-            // Graceful degradation: hide spinner and show static placeholder
-            this._hideSpinnerOnly();
-            // Re-throw so the queue manager knows this widget failed
-            throw error;
+    // Set gaze direction in normalized coordinates (-1..1, 0 = center)
+    // With { immediate: true } the face jumps there without smoothing
+    setGaze(x, y, { immediate = false } = {}) {
+        this._noteInput();
+        this._setTarget(x, y);
+
+        if (immediate) {
+            this.currentCol = this.targetCol;
+            this.currentRow = this.targetRow;
+            this.renderGaze();
         }
     }
 
-    async loadPixiJS() {
-        return new Promise((resolve, reject) => {
-            if (typeof PIXI !== 'undefined') {
-                resolve();
-                return;
-            }
-            const script = document.createElement('script');
-            script.src = 'https://pixijs.download/v8.6.6/pixi.min.js';
-            script.onload = resolve;
-            script.onerror = () => reject(new Error('Failed to load PixiJS'));
-            document.head.appendChild(script);
-        });
+    // Current (smoothed) gaze in normalized coordinates plus the displayed cell
+    getGaze() {
+        const { x, y } = this._toNormalized(this.currentCol, this.currentRow);
+        const col = Math.round(Math.max(0, Math.min(this.gridCols - 1, this.currentCol)));
+        const row = Math.round(Math.max(0, Math.min(this.gridRows - 1, this.currentRow)));
+        return { x, y, row, col };
     }
 
-    // Load image via Image element (works with file:// protocol)
-    loadImageElement(url) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            // Don't set crossOrigin for file:// protocol - it causes CORS errors
-            if (!isOffline) {
-                img.crossOrigin = 'anonymous';
-            }
-            img.onload = () => resolve(img);
-            img.onerror = () => reject(new Error(`Failed to load image: ${url}`));
-            img.src = url;
-        });
+    // Convert between grid positions and normalized -1..1 coordinates
+    _toNormalized(col, row) {
+        const centerCol = (this.gridCols - 1) / 2;
+        const centerRow = (this.gridRows - 1) / 2;
+        return {
+            x: centerCol > 0 ? (col - centerCol) / centerCol : 0,
+            y: centerRow > 0 ? (row - centerRow) / centerRow : 0
+        };
     }
 
-    // Load a single texture with explicit verification
-    async loadSingleTexture(url, quadrantName) {
-        widgetLog('info', `Loading ${quadrantName}: ${url}`);
+    _fromNormalized(x, y) {
+        const centerCol = (this.gridCols - 1) / 2;
+        const centerRow = (this.gridRows - 1) / 2;
+        return { col: centerCol + x * centerCol, row: centerRow + y * centerRow };
+    }
 
-        let texture;
-        // Use image element approach for offline mode OR CDN URLs (which don't have file extensions)
-        const isCdnUrl = url.includes('imagedelivery.net') || !url.match(/\.(webp|png|jpg|jpeg)$/i);
-        if (isOffline || isCdnUrl) {
-            const img = await this.loadImageElement(url);
-            texture = PIXI.Texture.from(img);
-        } else {
-            // Load individually to ensure no cache confusion
-            texture = await PIXI.Assets.load(url);
-        }
+    // Read the fit / position / focal-point attributes
+    _parseFrameFit() {
+        const fit = this.getAttribute('fit');
+        const focalPoint = this.getAttribute('focal-point');
+        return {
+            fit: FIT_MODES.includes(fit) ? fit : 'contain',
+            position: parsePosition(this.getAttribute('position')) || parsePosition('center'),
+            focalPoint: focalPoint ? parsePosition(focalPoint) : null
+        };
+    }
 
-        // Verify texture loaded
-        if (!texture) {
-            throw new Error(`Failed to load texture for ${quadrantName}: ${url}`);
+    // Keep the loading placeholder framed like the canvas
+    _applyPlaceholderFit() {
+        const container = this.shadowRoot.querySelector('.gaze-container');
+        if (!container) return;
+        container.style.setProperty('--poster-fit', this.frameFit.fit);
+
+        // Slotted posters inherit the container's position; our own posters get their own
+        const slotted = this.querySelector(':scope > [slot="poster"]');
+        container.style.setProperty('--poster-position', this._posterPosition(slotted));
+        this.shadowRoot.querySelectorAll('.placeholder-img').forEach(poster => {
+            poster.style.setProperty('--poster-position', this._posterPosition(poster));
+        });
+    }
+
+    // object-position for a poster, placed by the same math as the sprite frame.
+    // Until the poster's size is known, fall back to the attribute as written.
+    _posterPosition(poster) {
+        const fallback = this.getAttribute('focal-point') || this.getAttribute('position') || 'center';
+        const naturalWidth = poster && (poster.naturalWidth || poster.videoWidth || (poster.tagName === 'CANVAS' && poster.width));
+        const naturalHeight = poster && (poster.naturalHeight || poster.videoHeight || (poster.tagName === 'CANVAS' && poster.height));
+        const { width, height } = this.cssSize || this.getBoundingClientRect();
+        if (!naturalWidth || !naturalHeight || !width || !height) return fallback;
+
+        const { fit, position, focalPoint } = this.frameFit;
+        let scaleX = width / naturalWidth;
+        let scaleY = height / naturalHeight;
+        if (fit === 'contain' || fit === 'cover') {
+            scaleX = scaleY = fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+        } else if (fit === 'none') {
+            scaleX = scaleY = 1;
         }
 
-        // Wait for texture to be fully ready (only if source exists and needs loading)
-        if (texture.source && !texture.source.resource) {
-            await new Promise(resolve => {
-                if (texture.source.resource) {
-                    resolve();
-                } else {
-                    texture.source.once('loaded', resolve);
-                    texture.source.once('error', resolve);
-                }
-            });
+        // Pixel focal points are in sprite-frame pixels; the poster may be another size
+        const frameScaleX = scaleX * (this.imageWidth ? naturalWidth / this.imageWidth : 1);
+        const frameScaleY = scaleY * (this.imageHeight ? naturalHeight / this.imageHeight : 1);
+        const x = alignFrame(width, naturalWidth * scaleX, frameScaleX, position.x, focalPoint && focalPoint.x);
+        const y = alignFrame(height, naturalHeight * scaleY, frameScaleY, position.y, focalPoint && focalPoint.y);
+        return `${x}px ${y}px`;
+    }
+
+    // Read the range / sensitivity / dead-zone / curve / invert attributes
+    _parseGazeMapping() {
+        const rangeAttr = (this.getAttribute('range') || 'viewport').trim();
+        const rangePx = parseFloat(rangeAttr);
+        const range = rangeAttr === 'element' ? 'element' : (rangePx > 0 ? rangePx : 'viewport');
+
+        const [sensX, sensY] = (this.getAttribute('sensitivity') || '').trim().split(/\s+/).map(parseFloat);
+        const sensitivityX = sensX > 0 ? sensX : 1;
+        const sensitivityY = sensY > 0 ? sensY : sensitivityX;
+
+        const deadZone = Math.max(0, Math.min(0.9, parseFloat(this.getAttribute('dead-zone')) || 0));
+
+        return {
+            range,
+            sensitivityX,
+            sensitivityY,
+            deadZone,
+            curve: this.getAttribute('curve') === 'ease-out' ? 'ease-out' : 'linear',
+            invertX: this.hasAttribute('invert-x'),
+            invertY: this.hasAttribute('invert-y')
+        };
+    }
+
+    // Apply sensitivity, dead zone, response curve and inversion to one axis
+    _shapeAxis(value, sensitivity, invert) {
+        const { deadZone, curve } = this.gazeMapping;
+        let magnitude = Math.min(1, Math.abs(value) * sensitivity);
+        magnitude = magnitude <= deadZone ? 0 : (magnitude - deadZone) / (1 - deadZone);
+        if (curve === 'ease-out') {
+            magnitude = 1 - (1 - magnitude) * (1 - magnitude);
         }
+        return Math.sign(value) * magnitude * (invert ? -1 : 1);
+    }
 
-        // Verify texture is valid
-        if (texture.width === 0 || texture.height === 0) {
-            throw new Error(`Invalid texture dimensions for ${quadrantName}: ${url}`);
+    // Map a viewport point to a gaze direction (-1..1). Shared by mouse, touch,
+    // lookAt() and the look-at element so they all respond the same way
+    _normalizePoint(clientX, clientY) {
+        // Get widget's position on screen
+        const rect = this.getBoundingClientRect();
+        const widgetCenterX = rect.left + rect.width / 2;
+        const widgetCenterY = rect.top + rect.height / 2;
+
+        // Calculate direction from widget center to the point
+        const deltaX = clientX - widgetCenterX;
+        const deltaY = clientY - widgetCenterY;
+
+        // Distance that means "full gaze": half the larger viewport dimension by
+        // default, the widget's own half-size, or a fixed number of pixels
+        const mapping = this.gazeMapping;
+        let rangeX, rangeY;
+        if (mapping.range === 'element') {
+            rangeX = Math.max(1, rect.width / 2);
+            rangeY = Math.max(1, rect.height / 2);
+        } else if (typeof mapping.range === 'number') {
+            rangeX = rangeY = mapping.range;
+        } else {
+            rangeX = rangeY = Math.max(window.innerWidth, window.innerHeight) / 2;
         }
 
-        widgetLog('info', `${quadrantName} loaded: ${texture.width}x${texture.height}`);
-        return texture;
+        return {
+            x: this._shapeAxis(deltaX / rangeX, mapping.sensitivityX, mapping.invertX),
+            y: this._shapeAxis(deltaY / rangeY, mapping.sensitivityY, mapping.invertY)
+        };
     }
 
-    async loadSprite(rootPath) {
-        if (!this.app) return;
+    // Point the target at normalized coordinates without counting it as input
+    _setTarget(x, y) {
+        const normalizedX = Math.max(-1, Math.min(1, Number(x) || 0));
+        const normalizedY = Math.max(-1, Math.min(1, Number(y) || 0));
 
-        try {
-            // Clean up previous sprite and textures completely
-            if (this.sprite) {
-                this.app.stage.removeChild(this.sprite);
-                this.sprite.destroy();
-                this.sprite = null;
-            }
+        // Map to grid coordinates (center = grid/2)
+        const { col, row } = this._fromNormalized(normalizedX, normalizedY);
+        this.targetCol = col;
+        this.targetRow = row;
+        this.requestFrame();
+    }
 
-            // Clear all cached textures for this instance
-            this.quadrantTextures = {};
-            this.textureCache = {};
+    // ------------------------------------------------------------------------
+    // Power saving
+    // ------------------------------------------------------------------------
 
-            // Check if rootPath is comma-separated full URLs (CDN mode) or a base path
-            const quadrantNames = ['q0', 'q1', 'q2', 'q3'];
-            const loadedTextures = {};
+    // Stop animating and listening for input until resume() is called
+    pause() {
+        this.userPaused = true;
+        this._updateRunState();
+    }
 
-            // Debug: check if comma-separated
-            const hasComma = rootPath.includes(',');
-            widgetLog('info', `rootPath comma check: hasComma=${hasComma}, length=${rootPath.length}`);
+    resume() {
+        this.userPaused = false;
+        this._updateRunState();
+    }
 
-            if (hasComma) {
-                // CDN mode: comma-separated full URLs like "url1,url2,url3,url4"
-                const urls = rootPath.split(',').map(u => u.trim());
-                if (urls.length !== 4) {
-                    throw new Error(`Expected 4 comma-separated URLs, got ${urls.length}`);
-                }
-                widgetLog('info', 'Loading from CDN URLs (comma-separated)');
-                for (let i = 0; i < 4; i++) {
-                    loadedTextures[quadrantNames[i]] = await this.loadSingleTexture(urls[i], quadrantNames[i]);
-                }
-            } else {
-                // Traditional mode: build quadrant URLs from base path
-                // Desktop: q0.webp, q1.webp, q2.webp, q3.webp (15x15 each = 30x30 grid)
-                // Mobile: q0_20.webp, q1_20.webp, q2_20.webp, q3_20.webp (10x10 each = 20x20 grid)
-                const basePath = rootPath.endsWith('/') ? rootPath : rootPath + '/';
-                let suffix = this.isMobile ? '_20' : '';
+    // How to honour prefers-reduced-motion: 'throttle', 'center' or 'ignore'
+    _reducedMotionMode() {
+        if (!this.prefersReducedMotion) return 'ignore';
+        const mode = this.getAttribute('reduced-motion');
+        return mode === 'center' || mode === 'ignore' ? mode : 'throttle';
+    }
 
-                // Load each quadrant INDIVIDUALLY and SEQUENTIALLY to prevent any race conditions
-                // This is slower but guarantees correct texture assignment
-                for (const qName of quadrantNames) {
-                    const url = `${basePath}${qName}${suffix}.webp`;
-                    try {
-                        loadedTextures[qName] = await this.loadSingleTexture(url, qName);
-                    } catch (e) {
-                        // If mobile sprites fail, try desktop fallback
-                        if (this.isMobile && suffix === '_20') {
-                            widgetLog('info', `Mobile ${qName} not found, trying desktop fallback`);
-                            suffix = '';
-                            this.gridSize = 30;
-                            this.quadrantSize = 15;
-                            this.currentCol = 15;
-                            this.currentRow = 15;
-                            this.targetCol = 15;
-                            this.targetRow = 15;
-
-                            // Reload all with desktop suffix
-                            for (const q of quadrantNames) {
-                                const desktopUrl = `${basePath}${q}.webp`;
-                                loadedTextures[q] = await this.loadSingleTexture(desktopUrl, q);
-                            }
-                            break;
-                        } else {
-                            throw e;
-                        }
-                    }
-                }
-            }
+    setupPowerSaving() {
+        // Offscreen widgets don't need to animate
+        if ('IntersectionObserver' in window) {
+            this.intersectionObserver = new IntersectionObserver((entries) => {
+                this.isInView = entries[entries.length - 1].isIntersecting;
+                this._updateRunState();
+            });
+            this.intersectionObserver.observe(this);
+        }
 
-            // Explicitly assign each quadrant - no ambiguity
-            this.quadrantTextures = {
-                q0: loadedTextures.q0,
-                q1: loadedTextures.q1,
-                q2: loadedTextures.q2,
-                q3: loadedTextures.q3
-            };
+        // Neither do widgets in a background tab
+        this.visibilityHandler = () => this._updateRunState();
+        document.addEventListener('visibilitychange', this.visibilityHandler);
 
-            // VERIFY: All textures must exist and be valid
-            for (const [name, tex] of Object.entries(this.quadrantTextures)) {
-                if (!tex) {
-                    throw new Error(`Missing texture for ${name}`);
-                }
-                if (!tex.source || tex.width === 0 || tex.height === 0) {
-                    throw new Error(`Invalid texture for ${name}: ${tex.width}x${tex.height}`);
-                }
+        if (window.matchMedia) {
+            this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.prefersReducedMotion = this.reducedMotionQuery.matches;
+            this.reducedMotionHandler = (e) => {
+                this.prefersReducedMotion = e.matches;
+                this._updateRunState();
+            };
+            if (this.reducedMotionQuery.addEventListener) {
+                this.reducedMotionQuery.addEventListener('change', this.reducedMotionHandler);
             }
+        }
 
-            // VERIFY: All quadrant textures should have the same dimensions
-            const q0Width = this.quadrantTextures.q0.width;
-            const q0Height = this.quadrantTextures.q0.height;
-            for (const [name, tex] of Object.entries(this.quadrantTextures)) {
-                if (tex.width !== q0Width || tex.height !== q0Height) {
-                    widgetLog('error', `Dimension mismatch: ${name} is ${tex.width}x${tex.height}, expected ${q0Width}x${q0Height}`);
-                    throw new Error(`Quadrant dimension mismatch for ${name}`);
-                }
-            }
+        this._updateRunState();
+    }
 
-            // VERIFY: All quadrant textures should have DIFFERENT sources (not duplicates)
-            const sourceIds = new Set();
-            for (const [name, tex] of Object.entries(this.quadrantTextures)) {
-                const sourceId = tex.source.uid || tex.source._resourceId || tex.source.label;
-                if (sourceId && sourceIds.has(sourceId)) {
-                    widgetLog('error', `Duplicate texture source detected for ${name}`);
-                    // Don't throw - sources might legitimately share in some PIXI versions
-                    // But log it for debugging
-                }
-                if (sourceId) sourceIds.add(sourceId);
+    // Start or stop the animation loop and input listeners to match current conditions
+    _updateRunState() {
+        if (!this.isInitialized) return;
+
+        const reducedMotion = this._reducedMotionMode();
+        const shouldRun = !this.userPaused && this.isInView &&
+            document.visibilityState !== 'hidden' && reducedMotion !== 'center';
+
+        if (shouldRun !== this.isRunning) {
+            this.isRunning = shouldRun;
+            if (shouldRun) {
+                this._addInputListeners();
+                this._attachLookAt();
+                if (this.gyroEnabled) this._addGyroListeners();
+                this.requestFrame();
+            } else {
+                this._removeInputListeners();
+                this._detachLookAt();
+                this.disableGyro();
+                GazeRendererManager.cancelFrame(this);
+                clearTimeout(this.idleWakeTimer);
+                this._finishTransition();
             }
+            this._log('debug', shouldRun ? 'resumed' : 'paused');
+        }
 
-            widgetLog('info', `All 4 quadrants verified: ${q0Width}x${q0Height} each`);
+        // Reduced motion "center": show a still, centered face
+        if (reducedMotion === 'center') {
+            this._setTarget(0, 0);
+            this.currentCol = this.targetCol;
+            this.currentRow = this.targetRow;
+            this.renderGaze(true);
+            GazeRendererManager.present(this);
+        }
+    }
 
-            // Infer frame dimensions from sprite size
-            // Each quadrant sprite contains quadrantSize x quadrantSize frames
-            const spriteWidth = this.quadrantTextures.q0.width;
-            const spriteHeight = this.quadrantTextures.q0.height;
-            this.imageWidth = Math.round(spriteWidth / this.quadrantSize);
-            this.imageHeight = Math.round(spriteHeight / this.quadrantSize);
+    // ------------------------------------------------------------------------
+    // Look-at element
+    // ------------------------------------------------------------------------
 
-            // Cap frame dimensions at 1000px (WebP practical limit for smooth animation)
-            const MAX_FRAME_SIZE = 1000;
-            if (this.imageWidth > MAX_FRAME_SIZE || this.imageHeight > MAX_FRAME_SIZE) {
-                const scale = MAX_FRAME_SIZE / Math.max(this.imageWidth, this.imageHeight);
-                this.imageWidth = Math.round(this.imageWidth * scale);
-                this.imageHeight = Math.round(this.imageHeight * scale);
-                widgetLog('info', `Capped frame size to ${this.imageWidth}x${this.imageHeight}`);
-            }
+    // Element named by the look-at attribute, if it currently exists
+    _lookAtElement() {
+        if (!this.lookAtSelector) return null;
+        if (this.lookAtSelector === ':focus') {
+            const active = document.activeElement;
+            return active && active !== document.body && active !== document.documentElement && active !== this ? active : null;
+        }
+        try {
+            return document.querySelector(this.lookAtSelector);
+        } catch (e) {
+            this._log('warn', `Invalid look-at selector: ${this.lookAtSelector}`);
+            return null;
+        }
+    }
 
-            // Check if app still exists after async texture loading
-            if (!this.app || !this.app.renderer) {
-                throw new Error('App destroyed during sprite loading');
-            }
+    // Aim at the look-at element unless pointer input currently has priority
+    _updateLookAt() {
+        const element = this._lookAtElement();
+        const pointerActive = this.lookAtOverride > 0 &&
+            performance.now() - this.lastPointerTime < this.lookAtOverride;
 
-            // Resize PIXI app to match frame dimensions
-            this.app.renderer.resize(this.imageWidth, this.imageHeight);
-            widgetLog('info', `Frame size: ${this.imageWidth}x${this.imageHeight}, grid: ${this.gridSize}x${this.gridSize}`);
+        this.lookAtActive = !!element && !pointerActive;
+        if (!this.lookAtActive) return;
 
-            // Create sprite with initial texture BEFORE adding to stage
-            // This prevents PIXI from rendering a default/empty texture
-            const centerFrame = Math.floor(this.gridSize / 2);
-            const initialTexture = this.getTextureForCell(centerFrame, centerFrame);
+        const rect = element.getBoundingClientRect();
+        const { x, y } = this._normalizePoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        if (this.isIdle) this._exitIdle();
+        this._setTarget(x, y);
+    }
 
-            this.sprite = new PIXI.Sprite(initialTexture);
-            this.sprite.anchor.set(0, 0);
+    // Pointer moved: decide whether it may steer the gaze over the look-at element
+    _acceptPointer() {
+        if (!this.lookAtSelector) return true;
+        if (this.lookAtOverride === 0 && this._lookAtElement()) return false;
 
-            // Scale sprite to fill canvas
-            this.updateSpriteScale();
+        this.lastPointerTime = performance.now();
+        this.lookAtActive = false;
 
-            // Now add to stage with proper texture already set
-            this.app.stage.addChild(this.sprite);
+        // Return to the element once the pointer has been still long enough
+        clearTimeout(this.lookAtTimer);
+        this.lookAtTimer = setTimeout(() => this._updateLookAt(), this.lookAtOverride);
+        return true;
+    }
 
-            // Start animation loop
-            this.app.ticker.add(this.animate.bind(this));
+    _attachLookAt() {
+        this._detachLookAt();
+        if (!this.lookAtSelector || !this.isRunning) return;
+        this.lookAtHandler = () => this._updateLookAt();
+        window.addEventListener('scroll', this.lookAtHandler, { passive: true, capture: true });
+        window.addEventListener('resize', this.lookAtHandler);
+        document.addEventListener('focusin', this.lookAtHandler);
+        document.addEventListener('focusout', this.lookAtHandler);
+        this._updateLookAt();
+    }
 
-        } catch (error) {
-            widgetLog('error', `Failed to load sprites: ${error.message}`);
-            throw error;  // Re-throw to show error in UI
-        }
+    _detachLookAt() {
+        clearTimeout(this.lookAtTimer);
+        this.lookAtActive = false;
+        if (!this.lookAtHandler) return;
+        window.removeEventListener('scroll', this.lookAtHandler, { capture: true });
+        window.removeEventListener('resize', this.lookAtHandler);
+        document.removeEventListener('focusin', this.lookAtHandler);
+        document.removeEventListener('focusout', this.lookAtHandler);
+        this.lookAtHandler = null;
     }
 
-    updateSpriteScale() {
-        if (!this.sprite || !this.app) return;
+    // ------------------------------------------------------------------------
+    // Idle behaviour
+    // ------------------------------------------------------------------------
 
-        const canvasWidth = this.app.renderer.width;
-        const canvasHeight = this.app.renderer.height;
+    // Real input arrived: reset the idle clock and hand control back
+    _noteInput() {
+        this.lastInputTime = performance.now();
+        if (this.isIdle) this._exitIdle();
+    }
 
-        // Calculate scale to fit image inside canvas while maintaining aspect ratio
-        const scaleX = canvasWidth / this.imageWidth;
-        const scaleY = canvasHeight / this.imageHeight;
-        const scale = Math.min(scaleX, scaleY);
+    _enterIdle(now) {
+        this.isIdle = true;
+        if (this.idleMode === 'center') {
+            this._setTarget(0, 0);
+        } else {
+            // Start wandering from wherever the face is looking now
+            const { x, y } = this.getGaze();
+            this.idleWander = { x, y, destX: x, destY: y, nextMove: now, offsetX: 0, offsetY: 0, nextSaccade: now + 400 };
+        }
+        this._emit('gaze-idle', { idle: true, mode: this.idleMode });
+    }
 
-        // Apply scale
-        this.sprite.scale.set(scale, scale);
+    _exitIdle() {
+        this.isIdle = false;
+        this.idleWander = null;
+        this._emit('gaze-idle', { idle: false, mode: this.idleMode });
+    }
 
-        // Center the sprite in the canvas
-        this.sprite.x = (canvasWidth - this.imageWidth * scale) / 2;
-        this.sprite.y = (canvasHeight - this.imageHeight * scale) / 2;
+    // The loop sleeps while the gaze is still, so wake it when idling is due
+    _scheduleIdleWake() {
+        clearTimeout(this.idleWakeTimer);
+        if (this.idleMode === 'none' || this.isIdle || this.lookAtActive) return;
+        const remaining = this.lastInputTime + this.idleTimeout - performance.now();
+        this.idleWakeTimer = setTimeout(() => this.requestFrame(), Math.max(0, remaining));
     }
 
-    getTextureForCell(row, col) {
-        const half = this.quadrantSize;
-        let quadrant, localRow, localCol;
-
-        // Determine which quadrant and local position
-        if (row < half && col < half) {
-            quadrant = this.quadrantTextures.q0;
-            localRow = row;
-            localCol = col;
-        } else if (row < half && col >= half) {
-            quadrant = this.quadrantTextures.q1;
-            localRow = row;
-            localCol = col - half;
-        } else if (row >= half && col < half) {
-            quadrant = this.quadrantTextures.q2;
-            localRow = row - half;
-            localCol = col;
-        } else {
-            quadrant = this.quadrantTextures.q3;
-            localRow = row - half;
-            localCol = col - half;
+    // Called every frame: start idling after the timeout and drive the wander path
+    _updateIdle(now) {
+        // Looking at an element is deliberate, not idle
+        if (this.idleMode === 'none' || this.lookAtActive) return;
+        if (!this.isIdle) {
+            if (now - this.lastInputTime < this.idleTimeout) return;
+            this._enterIdle(now);
         }
+        if (this.idleMode !== 'wander') return;
 
-        if (!quadrant) return null;
+        const wander = this.idleWander;
+        const random = (min, max) => min + Math.random() * (max - min);
 
-        // Cache textures for performance
-        const key = `${row}_${col}`;
-        if (!this.textureCache[key]) {
-            const cellX = localCol * this.imageWidth;
-            const cellY = localRow * this.imageHeight;
-            const frame = new PIXI.Rectangle(cellX, cellY, this.imageWidth, this.imageHeight);
-            this.textureCache[key] = new PIXI.Texture({ source: quadrant.source, frame });
+        // Pick a new point of interest every few seconds
+        if (now >= wander.nextMove) {
+            wander.destX = random(-0.6, 0.6);
+            wander.destY = random(-0.4, 0.4);
+            wander.nextMove = now + random(1500, 4000);
         }
-        return this.textureCache[key];
+
+        // Micro-saccades: small, quick jumps around the current point
+        if (now >= wander.nextSaccade) {
+            wander.offsetX = random(-0.05, 0.05);
+            wander.offsetY = random(-0.05, 0.05);
+            wander.nextSaccade = now + random(300, 1200);
+        }
+
+        // Drift slowly towards the destination for a smooth path
+        wander.x += (wander.destX - wander.x) * 0.02;
+        wander.y += (wander.destY - wander.y) * 0.02;
+        this._setTarget(wander.x + wander.offsetX, wander.y + wander.offsetY);
     }
 
-    updateFrame(row, col) {
-        if (!this.sprite) return;
-        const texture = this.getTextureForCell(row, col);
-        if (texture) {
-            this.sprite.texture = texture;
+    // ------------------------------------------------------------------------
+    // Built-in input
+    // ------------------------------------------------------------------------
+
+    // Attach document-level pointer listeners (skipped in manual input mode)
+    _addInputListeners() {
+        if (this.inputMode === 'manual' || !this.isRunning) return;
+        if (this.mouseMoveHandler) {
+            document.addEventListener('mousemove', this.mouseMoveHandler);
+        }
+        if (this.touchStartHandler) {
+            document.addEventListener('touchstart', this.touchStartHandler, { passive: true });
+            document.addEventListener('touchmove', this.touchMoveHandler, { passive: true });
+            document.addEventListener('touchend', this.touchEndHandler, { passive: true });
+        }
+    }
+
+    _removeInputListeners() {
+        if (this.mouseMoveHandler) {
+            document.removeEventListener('mousemove', this.mouseMoveHandler);
+        }
+        if (this.touchStartHandler) {
+            document.removeEventListener('touchstart', this.touchStartHandler);
+        }
+        if (this.touchMoveHandler) {
+            document.removeEventListener('touchmove', this.touchMoveHandler);
+        }
+        if (this.touchEndHandler) {
+            document.removeEventListener('touchend', this.touchEndHandler);
         }
     }
 
     setupMouseTracking() {
         this.mouseMoveHandler = (e) => {
-            if (this.gyroEnabled) return;
-
-            // Get widget's position on screen
-            const rect = this.getBoundingClientRect();
-            const widgetCenterX = rect.left + rect.width / 2;
-            const widgetCenterY = rect.top + rect.height / 2;
-
-            // Calculate direction from widget center to mouse
-            const deltaX = e.clientX - widgetCenterX;
-            const deltaY = e.clientY - widgetCenterY;
-
-            // Normalize based on screen size (mouse at screen edge = max gaze)
-            // Use the larger dimension for consistent sensitivity
-            const maxDistance = Math.max(window.innerWidth, window.innerHeight) / 2;
-            const normalizedX = Math.max(-1, Math.min(1, deltaX / maxDistance));
-            const normalizedY = Math.max(-1, Math.min(1, deltaY / maxDistance));
-
-            // Map to grid coordinates (center = gridSize/2)
-            const center = (this.gridSize - 1) / 2;
-            this.targetCol = center + normalizedX * center;
-            this.targetRow = center + normalizedY * center;
+            if (this.gyroEnabled || !this._acceptPointer()) return;
+            this.lookAt(e.clientX, e.clientY);
         };
-
-        document.addEventListener('mousemove', this.mouseMoveHandler);
     }
 
     setupTouchTracking() {
         // Use TWO-finger pan for gaze control on mobile
         // Single finger is reserved for page scrolling
-
-        // Helper to calculate gaze from touch position
         const updateGazeFromTouch = (touchX, touchY) => {
-            const rect = this.getBoundingClientRect();
-            const widgetCenterX = rect.left + rect.width / 2;
-            const widgetCenterY = rect.top + rect.height / 2;
-
-            const deltaX = touchX - widgetCenterX;
-            const deltaY = touchY - widgetCenterY;
-
-            const maxDistance = Math.max(window.innerWidth, window.innerHeight) / 2;
-            const normalizedX = Math.max(-1, Math.min(1, deltaX / maxDistance));
-            const normalizedY = Math.max(-1, Math.min(1, deltaY / maxDistance));
-
-            const center = (this.gridSize - 1) / 2;
-            this.targetCol = center + normalizedX * center;
-            this.targetRow = center + normalizedY * center;
+            if (this._acceptPointer()) this.lookAt(touchX, touchY);
         };
 
         this.touchStartHandler = (e) => {
@@ -958,34 +3172,82 @@ class GazeTracker extends HTMLElement {
                 this.isTouching = false;
             }
         };
-
-        document.addEventListener('touchstart', this.touchStartHandler, { passive: true });
-        document.addEventListener('touchmove', this.touchMoveHandler, { passive: true });
-        document.addEventListener('touchend', this.touchEndHandler, { passive: true });
     }
 
     setupGyroscope() {
         if (!window.DeviceOrientationEvent) return;
 
         this.deviceOrientationHandler = (e) => {
-            if (!this.gyroEnabled || this.isTouching) return;
+            if (!this.gyroEnabled || this.isTouching || this.inputMode === 'manual') return;
 
             // Check if we have valid data
             if (e.beta === null || e.gamma === null) return;
 
-            const beta = e.beta;   // -180 to 180 (front/back tilt)
-            const gamma = e.gamma; // -90 to 90 (left/right tilt)
+            // Smooth out sensor noise before using the reading
+            const tilt = this._screenTilt(e.beta, e.gamma);
+            if (!this.gyroFiltered) {
+                this.gyroFiltered = tilt;
+            } else {
+                this.gyroFiltered.x += (tilt.x - this.gyroFiltered.x) * GYRO_FILTER;
+                this.gyroFiltered.y += (tilt.y - this.gyroFiltered.y) * GYRO_FILTER;
+            }
+
+            if (!this.gyroNeutral) {
+                this.gyroNeutral = this._gyroNeutralPose(this.gyroFiltered);
+            }
 
-            // Normalize: assume phone held at ~45 degrees
-            const neutralBeta = 45;
-            const betaNorm = Math.max(0, Math.min(1, (beta - neutralBeta + 30) / 60));
-            const gammaNorm = Math.max(0, Math.min(1, (gamma + 30) / 60));
+            const range = parseFloat(this.getAttribute('gyro-range')) || DEFAULT_GYRO_RANGE;
+            this._noteInput();
+            this._setTarget(
+                (this.gyroFiltered.x - this.gyroNeutral.x) / range,
+                (this.gyroFiltered.y - this.gyroNeutral.y) / range
+            );
+        };
 
-            this.targetCol = gammaNorm * (this.gridSize - 1);
-            this.targetRow = betaNorm * (this.gridSize - 1);
+        // Axes swap when the screen rotates, so a captured neutral pose no longer applies.
+        // A numeric gyro-neutral is in screen axes and stays valid: just restart the filter.
+        this.orientationChangeHandler = () => {
+            if (Number.isNaN(parseFloat(this.getAttribute('gyro-neutral')))) {
+                this.recalibrate();
+            } else {
+                this.gyroNeutral = null;
+                this.gyroFiltered = null;
+            }
         };
     }
 
+    // Rotate device beta/gamma into screen axes: x = tilt right, y = tilt towards the viewer
+    _screenTilt(beta, gamma) {
+        const angle = (screen.orientation && screen.orientation.angle) ?? window.orientation ?? 0;
+        switch ((angle + 360) % 360) {
+            case 90:
+                return { x: beta, y: -gamma };
+            case 180:
+                return { x: -gamma, y: -beta };
+            case 270:
+                return { x: -beta, y: gamma };
+            default:
+                return { x: gamma, y: beta };
+        }
+    }
+
+    // Fixed neutral from gyro-neutral, or the pose the device is in right now
+    _gyroNeutralPose(tilt) {
+        const neutral = parseFloat(this.getAttribute('gyro-neutral'));
+        if (!Number.isNaN(neutral) && !this._gyroRecalibrating) {
+            return { x: 0, y: neutral };
+        }
+        this._gyroRecalibrating = false;
+        return { x: tilt.x, y: tilt.y };
+    }
+
+    // Treat the current device pose as looking straight ahead
+    recalibrate() {
+        this.gyroNeutral = null;
+        this.gyroFiltered = null;
+        this._gyroRecalibrating = true;
+    }
+
     async enableGyro() {
         // iOS 13+ requires permission request from user gesture
         if (typeof DeviceOrientationEvent !== 'undefined' &&
@@ -1002,24 +3264,50 @@ class GazeTracker extends HTMLElement {
             }
         }
 
+        // Start from a fresh neutral pose (captured on the first reading unless gyro-neutral is set)
+        this.gyroNeutral = null;
+        this.gyroFiltered = null;
+        this._gyroRecalibrating = false;
+
         // Add listener only after permission granted
+        if (this.isRunning) this._addGyroListeners();
+        return true;
+    }
+
+    _addGyroListeners() {
+        if (!this.deviceOrientationHandler) return;
+        window.addEventListener('deviceorientation', this.deviceOrientationHandler, true);
+        this._addOrientationListener();
+    }
+
+    disableGyro() {
         if (this.deviceOrientationHandler) {
-            window.addEventListener('deviceorientation', this.deviceOrientationHandler, true);
+            window.removeEventListener('deviceorientation', this.deviceOrientationHandler, true);
         }
-        return true;
+        this._removeOrientationListener();
+    }
+
+    _addOrientationListener() {
+        if (screen.orientation && screen.orientation.addEventListener) {
+            screen.orientation.addEventListener('change', this.orientationChangeHandler);
+        } else {
+            window.addEventListener('orientationchange', this.orientationChangeHandler);
+        }
+    }
+
+    _removeOrientationListener() {
+        if (!this.orientationChangeHandler) return;
+        if (screen.orientation && screen.orientation.removeEventListener) {
+            screen.orientation.removeEventListener('change', this.orientationChangeHandler);
+        }
+        window.removeEventListener('orientationchange', this.orientationChangeHandler);
     }
 
     setupGyroButton() {
         const btn = this.shadowRoot.querySelector('.gyro-btn');
         if (!btn) return;
 
-        // Show on touch devices (mobile/tablet)
-        const hasTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
-        if (!hasTouch) {
-            btn.style.display = 'none';
-            return;
-        }
-
+        // Only shown on touch devices (see _applyControls)
         btn.addEventListener('click', async () => {
             if (!this.gyroEnabled) {
                 // Turning on - request permission if needed
@@ -1027,18 +3315,33 @@ class GazeTracker extends HTMLElement {
                 if (success) {
                     this.gyroEnabled = true;
                     btn.classList.add('active');
+                    btn.setAttribute('aria-pressed', 'true');
+                    this._announce('Gyroscope control on');
+                    this._emit('gaze-gyro-change', { enabled: true });
                 }
             } else {
                 // Turning off
                 this.gyroEnabled = false;
                 btn.classList.remove('active');
-                if (this.deviceOrientationHandler) {
-                    window.removeEventListener('deviceorientation', this.deviceOrientationHandler);
-                }
+                btn.setAttribute('aria-pressed', 'false');
+                this.disableGyro();
+                this._announce('Gyroscope control off');
+                this._emit('gaze-gyro-change', { enabled: false });
             }
         });
     }
 
+    // Recenter the gaze and treat the current device tilt as straight ahead
+    setupResetButton() {
+        const btn = this.shadowRoot.querySelector('.reset-btn');
+        if (!btn) return;
+
+        btn.addEventListener('click', () => {
+            if (this.gyroEnabled) this.recalibrate();
+            this.setGaze(0, 0);
+        });
+    }
+
     setupFullscreenButton() {
         const btn = this.shadowRoot.querySelector('.fullscreen-btn');
         if (!btn) return;
@@ -1046,8 +3349,9 @@ class GazeTracker extends HTMLElement {
         // Update button icon based on fullscreen state
         const updateIcon = () => {
             const isNativeFullscreen = (document.fullscreenElement || document.webkitFullscreenElement) && this._isFullscreenSource;
-            const isFullscreen = isNativeFullscreen || this.isMobileFullscreen;
-            btn.innerHTML = isFullscreen ? '&#x2715;' : '&#x26F6;';
+            const isFullscreen = !!(isNativeFullscreen || this.isMobileFullscreen);
+            btn.classList.toggle('fullscreen', isFullscreen);
+            btn.setAttribute('aria-pressed', String(isFullscreen));
 
             // Clean up if exited fullscreen externally (e.g., Escape key)
             if (!document.fullscreenElement && !document.webkitFullscreenElement && this._isFullscreenSource) {
@@ -1055,6 +3359,27 @@ class GazeTracker extends HTMLElement {
                 this.classList.remove('mobile-fullscreen');
                 document.body.style.overflow = '';
             }
+
+            if (isFullscreen !== !!this._lastFullscreenState) {
+                this._lastFullscreenState = isFullscreen;
+                this._announce(isFullscreen ? 'Fullscreen on' : 'Fullscreen off');
+                this._emit('gaze-fullscreen-change', { fullscreen: isFullscreen });
+            }
+        };
+
+        // CSS-based fullscreen, for touch devices and when the Fullscreen API is missing or refused
+        const enterCssFullscreen = () => {
+            this.isMobileFullscreen = true;
+            this.classList.add('mobile-fullscreen');
+            document.body.style.overflow = 'hidden';
+            updateIcon();
+            // Trigger resize to update canvas
+            if (this.resizeObserver) {
+                setTimeout(() => {
+                    this.resizeObserver.disconnect();
+                    this.resizeObserver.observe(this);
+                }, 100);
+            }
         };
 
         btn.addEventListener('click', () => {
@@ -1070,7 +3395,9 @@ class GazeTracker extends HTMLElement {
                 this.classList.remove('mobile-fullscreen');
                 document.body.style.overflow = '';
                 updateIcon();
-            } else if (isNativeFullscreen) {
+                return;
+            }
+            if (isNativeFullscreen) {
                 // Exit native fullscreen
                 this._isFullscreenSource = false;
                 this.classList.remove('mobile-fullscreen');
@@ -1080,94 +3407,141 @@ class GazeTracker extends HTMLElement {
                 } else if (document.webkitExitFullscreen) {
                     document.webkitExitFullscreen();
                 }
-            } else if (isTouchDevice) {
-                // Mobile: Navigate to /view/:sessionId for better fullscreen experience
-                const src = this.getAttribute('src') || '';
-                const sessionMatch = src.match(/\/uploads\/(session_[^/]+)/);
-                if (sessionMatch) {
-                    // Navigate to dedicated view page with gyro dialog
-                    window.location.href = `/view/${sessionMatch[1]}`;
-                    return;
-                }
-                // Fallback to CSS-based fullscreen if no sessionId (e.g., demo)
-                this.isMobileFullscreen = true;
+                return;
+            }
+
+            // The page can cancel this to show its own viewer instead
+            const href = this._fullscreenHref();
+            const target = this.getAttribute('fullscreen-target') === 'element' ? 'element' : 'document';
+            if (!this._emit('gaze-fullscreen-request', { href, target }, { cancelable: true })) return;
+            if (href) {
+                window.location.href = href;
+                return;
+            }
+
+            const fullscreenEl = target === 'element' ? this : document.documentElement;
+            const requestFS = fullscreenEl.requestFullscreen || fullscreenEl.webkitRequestFullscreen;
+
+            // Document fullscreen on mobile stays CSS-based (the Fullscreen API doesn't work reliably there)
+            if (!requestFS || (target === 'document' && isTouchDevice)) {
+                enterCssFullscreen();
+                return;
+            }
+
+            // Mark this widget as the one requesting fullscreen
+            this._isFullscreenSource = true;
+            if (target === 'document') {
                 this.classList.add('mobile-fullscreen');
                 document.body.style.overflow = 'hidden';
-                updateIcon();
-                // Trigger resize to update canvas
-                if (this.resizeObserver) {
-                    setTimeout(() => {
-                        this.resizeObserver.disconnect();
-                        this.resizeObserver.observe(this);
-                    }, 100);
-                }
-            } else {
-                // Desktop: Try native fullscreen API on documentElement (most reliable)
-                const docEl = document.documentElement;
-                const requestFS = docEl.requestFullscreen || docEl.webkitRequestFullscreen;
-
-                if (requestFS) {
-                    // Mark this widget as the one requesting fullscreen
-                    this._isFullscreenSource = true;
-                    this.classList.add('mobile-fullscreen');
-                    document.body.style.overflow = 'hidden';
-
-                    requestFS.call(docEl).catch(() => {
-                        // Native fullscreen failed (e.g., not a user gesture)
-                        // CSS fullscreen is already applied above as fallback
-                        this._isFullscreenSource = false;
-                        updateIcon();
-                    });
-                }
             }
+
+            Promise.resolve(requestFS.call(fullscreenEl)).catch(() => {
+                // Native fullscreen failed (e.g., not a user gesture)
+                this._isFullscreenSource = false;
+                if (target === 'element') {
+                    enterCssFullscreen();
+                } else {
+                    // CSS fullscreen is already applied above as fallback
+                    updateIcon();
+                }
+            });
         });
 
+        this._removeFullscreenListeners();
+        this.fullscreenChangeHandler = updateIcon;
         document.addEventListener('fullscreenchange', updateIcon);
         document.addEventListener('webkitfullscreenchange', updateIcon);
     }
 
+    _removeFullscreenListeners() {
+        if (!this.fullscreenChangeHandler) return;
+        document.removeEventListener('fullscreenchange', this.fullscreenChangeHandler);
+        document.removeEventListener('webkitfullscreenchange', this.fullscreenChangeHandler);
+        this.fullscreenChangeHandler = null;
+    }
+
+    // fullscreen-href with {src} and {expression} filled in (URL-encoded), or null
+    _fullscreenHref() {
+        const template = this.getAttribute('fullscreen-href');
+        if (!template) return null;
+        const values = { src: this.getAttribute('src') || '', expression: this.expression || '' };
+        return template.replace(/\{(src|expression)\}/g, (_, key) => encodeURIComponent(values[key]));
+    }
+
+    // Ask the shared loop for frames until the gaze settles
+    requestFrame() {
+        if (this.isRunning) GazeRendererManager.requestFrame(this);
+    }
+
+    // One frame of the shared loop. Returns false once there is nothing left to
+    // animate, so the loop can sleep until the next requestFrame().
+    _tick() {
+        // Sprite loading and context restore request a frame when they finish
+        if (!(this.sprite || this.fallbackRenderer) || GazeRendererManager.contextLost) return false;
+
+        this.animate();
+        if (this.transition) this._updateTransition(performance.now());
+        if (this.needsRender) {
+            this.needsRender = false;
+            GazeRendererManager.present(this);
+        }
+
+        const settled = this.currentCol === this.targetCol && this.currentRow === this.targetRow &&
+            !(this.isIdle && this.idleMode === 'wander') && !this.transition;
+        if (!settled) return true;
+        this._scheduleIdleWake();
+        return false;
+    }
+
     animate() {
         // Skip rendering if context is lost or sprite not ready
-        if (!this.sprite || this.contextLost) return;
+        if (!(this.sprite || this.fallbackRenderer) || GazeRendererManager.contextLost) return;
+
+        const now = performance.now();
+        this._updateIdle(now);
+
+        // Reduced motion: jump straight to the target a few times per second
+        if (this._reducedMotionMode() === 'throttle') {
+            if (now - this.lastReducedMotionUpdate < REDUCED_MOTION_INTERVAL) return;
+            this.lastReducedMotionUpdate = now;
+            this.currentCol = this.targetCol;
+            this.currentRow = this.targetRow;
+            this.renderGaze();
+            return;
+        }
 
         this.currentCol += (this.targetCol - this.currentCol) * this.smoothing;
         this.currentRow += (this.targetRow - this.currentRow) * this.smoothing;
 
-        const col = Math.round(Math.max(0, Math.min(this.gridSize - 1, this.currentCol)));
-        const row = Math.round(Math.max(0, Math.min(this.gridSize - 1, this.currentRow)));
+        // Snap the last fraction so the loop can stop
+        if (Math.abs(this.targetCol - this.currentCol) < SETTLE_EPSILON) this.currentCol = this.targetCol;
+        if (Math.abs(this.targetRow - this.currentRow) < SETTLE_EPSILON) this.currentRow = this.targetRow;
 
-        this.updateFrame(row, col);
+        this.renderGaze();
     }
 
     setupResizeObserver() {
         try {
             this.resizeObserver = new ResizeObserver((entries) => {
                 try {
-                    if (!this.app || !this.app.canvas) return;
-
                     const entry = entries[0];
                     const { width, height } = entry.contentRect;
 
                     if (width === 0 || height === 0) return;
 
-                    // Make canvas fill the entire container
-                    const canvasWidth = width;
-                    const canvasHeight = height;
-
-                    // Update PixiJS renderer size to match container
-                    this.app.renderer.resize(Math.floor(canvasWidth), Math.floor(canvasHeight));
+                    // The old set's layout is stale at the new size
+                    this._finishTransition();
 
-                    // Update canvas display size (CSS) - let it fill container
-                    this.app.canvas.style.width = '100%';
-                    this.app.canvas.style.height = '100%';
-
-                    // Scale sprite to fill the entire canvas
-                    this.updateSpriteScale();
+                    // Make canvas fill the entire container
+                    this.cssSize = { width, height };
+                    this._resizeCanvas();
+                    this._applyPlaceholderFit();
                 } catch (e) {
                     console.error('ResizeObserver callback error:', e);
                 }
             });
             this.resizeObserver.observe(this);
+            this._watchPixelRatio();
         } catch (e) {
             console.error('setupResizeObserver error:', e);
         }
@@ -1176,29 +3550,65 @@ class GazeTracker extends HTMLElement {
     cleanup() {
         // Unregister from the shared manager
         GazeRendererManager.unregisterWidget(this);
+        this.initGeneration++;
 
-        if (this.mouseMoveHandler) {
-            document.removeEventListener('mousemove', this.mouseMoveHandler);
+        this._removeInputListeners();
+        this._detachLookAt();
+        this.disableGyro();
+        this.gyroEnabled = false;
+        const gyroBtn = this.shadowRoot.querySelector('.gyro-btn');
+        if (gyroBtn) {
+            gyroBtn.classList.remove('active');
+            gyroBtn.setAttribute('aria-pressed', 'false');
         }
-        if (this.touchStartHandler) {
-            document.removeEventListener('touchstart', this.touchStartHandler);
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.onlineHandler) {
+            window.removeEventListener('online', this.onlineHandler);
+            this.onlineHandler = null;
         }
-        if (this.touchMoveHandler) {
-            document.removeEventListener('touchmove', this.touchMoveHandler);
+        if (this.intersectionObserver) {
+            this.intersectionObserver.disconnect();
         }
-        if (this.touchEndHandler) {
-            document.removeEventListener('touchend', this.touchEndHandler);
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
         }
-        if (this.deviceOrientationHandler) {
-            window.removeEventListener('deviceorientation', this.deviceOrientationHandler);
+        if (this.reducedMotionQuery && this.reducedMotionQuery.removeEventListener) {
+            this.reducedMotionQuery.removeEventListener('change', this.reducedMotionHandler);
         }
         if (this.resizeObserver) {
             this.resizeObserver.disconnect();
         }
-        if (this.app) {
-            this.app.destroy(true, { children: true, texture: true });
-            this.app = null;
+        this._unwatchPixelRatio();
+        clearTimeout(this.idleWakeTimer);
+        this._finishTransition();
+        if (this.setObserver) {
+            this.setObserver.disconnect();
+        }
+
+        // Tiles are shared, so leave them to the texture cache
+        this.loadToken++;
+        if (this.stage) {
+            this.stage.destroy({ children: true });
+            this.stage = null;
+            this.sprite = null;
+            this.spriteLayer = null;
+        }
+        if (this.surface) {
+            this.surface.destroy();
+            this.surface = null;
+        }
+        this.destroyCellTextures(this.textureCache);
+        this.textureCache = {};
+        this.releaseTextures(this.tileTextures);
+        this.tileTextures = [];
+        this.lastFallbackFrames = null;
+        this._releasePreloadedSets();
+        if (this.fallbackRenderer) {
+            this.fallbackRenderer.destroy();
+            this.fallbackRenderer = null;
         }
+        this.isInitialized = false;
     }
 }
 